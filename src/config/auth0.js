@@ -1,5 +1,32 @@
 // src/config/auth0.js
-import { createRemoteJWKSet, jwtVerify } from "jose";
+import { createRemoteJWKSet, jwtVerify, errors } from "jose";
+
+const DEFAULT_ALGORITHMS = (process.env.JWT_ALGORITHMS || "RS256").split(",").map((a) => a.trim()).filter(Boolean);
+const DEFAULT_CLOCK_TOLERANCE = parseInt(process.env.JWT_CLOCK_TOLERANCE) || 5; // seconds
+// How long a discovered jwks_uri is trusted before OIDC discovery runs again
+const DISCOVERY_TTL_MS = parseInt(process.env.OIDC_DISCOVERY_TTL_MS) || 60 * 60 * 1000;
+// How long the jwks.json fallback is used after discovery failed before retrying it
+const DISCOVERY_RETRY_MS = parseInt(process.env.OIDC_DISCOVERY_RETRY_MS) || 30 * 1000;
+
+// Asymmetric JWS algorithms a bot may accept (tokens are verified against the issuer's public keys)
+export const TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512", "EdDSA"];
+
+// jwks_uri → JWKS function (jose caches the keys and handles rotation)
+const jwksCache = new Map();
+// issuer → { jwksUri, expiresAt }
+const discoveryCache = new Map();
+
+/**
+ * Error raised when an access token is rejected. `reason` is a stable,
+ * machine-readable code returned to clients alongside the message.
+ */
+export class TokenVerificationError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "TokenVerificationError";
+    this.reason = reason;
+  }
+}
 
 /**
  * Extract a Bearer token from either the Authorization header
@@ -13,19 +40,150 @@ export function getTokenFromRequest(req) {
 }
 
 /**
- * Verify an Auth0 access token using remote JWKS.
- * Uses JOSE to validate tokens issued by the bot’s Auth0 tenant.
+ * Parses a bot's `authAlgorithms` (array or comma-separated string).
+ * @returns {string[]}
+ */
+export function parseTokenAlgorithms(value) {
+  return Array.isArray(value)
+    ? value.map((a) => String(a).trim()).filter(Boolean)
+    : String(value || "").split(",").map((a) => a.trim()).filter(Boolean);
+}
+
+/**
+ * Token verification settings for a bot. `authIssuer` (any OIDC issuer URL)
+ * takes precedence over the Auth0-style `authDomain`.
+ * @throws {TokenVerificationError} "issuer_not_configured" when the bot has neither
+ */
+export function getBotTokenOptions(bot) {
+  if (!bot.authIssuer && !bot.authDomain) {
+    throw new TokenVerificationError("issuer_not_configured", "This bot has no identity provider configured");
+  }
+
+  const algorithms = parseTokenAlgorithms(bot.authAlgorithms);
+
+  return {
+    issuer: bot.authIssuer || `https://${bot.authDomain}/`,
+    audience: bot.authAudience,
+    ...(bot.authJwksUri && { jwksUri: bot.authJwksUri }),
+    ...(algorithms.length && { algorithms }),
+    ...(bot.authClockTolerance !== undefined && { clockTolerance: Number(bot.authClockTolerance) }),
+  };
+}
+
+/**
+ * Resolves the issuer's jwks_uri via OIDC discovery
+ * (`<issuer>/.well-known/openid-configuration`), falling back to the Auth0
+ * convention `<issuer>/.well-known/jwks.json` when discovery is unavailable.
+ * The fallback is only kept for DISCOVERY_RETRY_MS, so a transient failure
+ * doesn't pin a wrong key set for a whole DISCOVERY_TTL_MS.
  */
-export async function verifyAccessToken(token, { issuer, audience }) {
-  if (!token) throw new Error("Missing access token");
+async function resolveJwksUri(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.jwksUri;
+
+  const base = issuer.endsWith("/") ? issuer : `${issuer}/`;
+  let jwksUri = `${base}.well-known/jwks.json`;
+  let discovered = false;
+
+  try {
+    const response = await fetch(`${base}.well-known/openid-configuration`, {
+      signal: AbortSignal.timeout(5000),
+    });
+    if (response.ok) {
+      const config = await response.json();
+      if (config.jwks_uri) {
+        jwksUri = config.jwks_uri;
+        discovered = true;
+      }
+    }
+  } catch (err) {
+    console.warn(`⚠️ OIDC discovery failed for ${issuer}, using ${jwksUri}: ${err.message}`);
+  }
+
+  discoveryCache.set(issuer, { jwksUri, expiresAt: Date.now() + (discovered ? DISCOVERY_TTL_MS : DISCOVERY_RETRY_MS) });
+  return jwksUri;
+}
+
+/**
+ * Returns the cached remote JWKS for a jwks_uri, creating it on first use.
+ */
+function getJWKS(jwksUri) {
+  if (!jwksCache.has(jwksUri)) {
+    jwksCache.set(jwksUri, createRemoteJWKSet(new URL(jwksUri)));
+  }
+  return jwksCache.get(jwksUri);
+}
+
+/**
+ * Maps JOSE errors to a stable reason code and a readable message.
+ */
+function toVerificationError(err) {
+  if (err instanceof TokenVerificationError) return err;
+
+  if (err instanceof errors.JWTExpired) {
+    return new TokenVerificationError("token_expired", "Access token has expired");
+  }
+  if (err instanceof errors.JWTClaimValidationFailed) {
+    const byClaim = {
+      iss: ["invalid_issuer", "Access token was not issued by this bot's identity provider"],
+      aud: ["invalid_audience", "Access token audience does not match this bot's API audience"],
+      nbf: ["token_not_yet_valid", "Access token is not valid yet"],
+    };
+    const [reason, message] = byClaim[err.claim] || ["invalid_claims", `Access token claim "${err.claim}" is invalid`];
+    return new TokenVerificationError(reason, message);
+  }
+  if (err instanceof errors.JOSEAlgNotAllowed) {
+    return new TokenVerificationError("algorithm_not_allowed", "Access token signing algorithm is not allowed");
+  }
+  if (err instanceof errors.JWKSNoMatchingKey || err instanceof errors.JWKSMultipleMatchingKeys) {
+    return new TokenVerificationError("unknown_signing_key", "Access token was signed with an unknown key");
+  }
+  if (err instanceof errors.JWSSignatureVerificationFailed) {
+    return new TokenVerificationError("invalid_signature", "Access token signature is invalid");
+  }
+  if (err instanceof errors.JWSInvalid || err instanceof errors.JWTInvalid) {
+    return new TokenVerificationError("malformed_token", "Access token is malformed");
+  }
+  const networkCodes = ["ERR_JOSE_GENERIC", "ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "ETIMEDOUT"];
+  if (err instanceof errors.JWKSTimeout || err instanceof errors.JWKSInvalid || networkCodes.includes(err?.code)) {
+    return new TokenVerificationError("jwks_unavailable", "Signing keys for this identity provider could not be loaded");
+  }
+  return new TokenVerificationError("invalid_token", "Invalid access token");
+}
+
+/**
+ * Verify an access token from any OIDC issuer (Auth0 included) using the
+ * issuer's remote JWKS, which is cached per jwks_uri.
+ *
+ * @param {string} token
+ * @param {object} options
+ * @param {string} options.issuer - expected `iss`, e.g. "https://tenant.auth0.com/"
+ * @param {string|string[]} options.audience - expected `aud`
+ * @param {string} [options.jwksUri] - skip discovery and use this key set
+ * @param {string[]} [options.algorithms] - allowed signing algorithms (default JWT_ALGORITHMS or RS256)
+ * @param {number} [options.clockTolerance] - allowed clock skew in seconds (default JWT_CLOCK_TOLERANCE or 5)
+ * @returns {Promise<import("jose").JWTPayload>}
+ * @throws {TokenVerificationError}
+ */
+export async function verifyAccessToken(token, { issuer, audience, jwksUri, algorithms, clockTolerance } = {}) {
+  if (!token) throw new TokenVerificationError("missing_token", "Missing access token");
+  if (!issuer) throw new TokenVerificationError("misconfigured", "No token issuer configured");
+
+  try {
+    const JWKS = getJWKS(jwksUri || (await resolveJwksUri(issuer)));
 
-  const iss = issuer.endsWith("/") ? issuer : `${issuer}/`;
-  const JWKS = createRemoteJWKSet(new URL(`${iss}.well-known/jwks.json`));
+    // Accept the issuer with or without a trailing slash (Auth0 uses one, many OIDC providers don't)
+    const issuers = issuer.endsWith("/") ? [issuer, issuer.slice(0, -1)] : [issuer, `${issuer}/`];
 
-  const { payload } = await jwtVerify(token, JWKS, {
-    issuer: iss,
-    audience,
-  });
+    const { payload } = await jwtVerify(token, JWKS, {
+      issuer: issuers,
+      audience,
+      algorithms: algorithms?.length ? algorithms : DEFAULT_ALGORITHMS,
+      clockTolerance: clockTolerance ?? DEFAULT_CLOCK_TOLERANCE,
+    });
 
-  return payload;
+    return payload;
+  } catch (err) {
+    throw toVerificationError(err);
+  }
 }
@@ -0,0 +1,79 @@
+// src/config/fga.js
+import dotenv from "dotenv";
+import { OpenFgaClient, CredentialsMethod } from "@openfga/sdk";
+
+dotenv.config();
+
+/**
+ * Authorization model the document checks expect in the FGA store:
+ *
+ *   model
+ *     schema 1.1
+ *   type user
+ *   type group
+ *     relations
+ *       define member: [user]
+ *   type document
+ *     relations
+ *       define reader: [user, user:*, group#member]
+ *
+ * Documents are `document:<botId>/<filename>`.
+ */
+export const DOCUMENT_RELATION = "reader";
+
+let fga = null;
+
+/**
+ * Whether an FGA store is configured (FGA_API_URL and FGA_STORE_ID).
+ */
+export function isFgaConfigured() {
+  return Boolean(process.env.FGA_API_URL && process.env.FGA_STORE_ID);
+}
+
+/**
+ * Singleton OpenFGA client, created on first use; null when FGA is not configured.
+ * Auth0 FGA uses client credentials (FGA_CLIENT_ID, FGA_CLIENT_SECRET,
+ * FGA_API_AUDIENCE, optional FGA_API_TOKEN_ISSUER); a self-hosted OpenFGA
+ * server can use a preshared FGA_API_TOKEN or no credentials at all.
+ */
+export function getFgaClient() {
+  if (!isFgaConfigured()) return null;
+
+  if (!fga) {
+    const {
+      FGA_API_URL,
+      FGA_STORE_ID,
+      FGA_MODEL_ID,
+      FGA_CLIENT_ID,
+      FGA_CLIENT_SECRET,
+      FGA_API_AUDIENCE,
+      FGA_API_TOKEN_ISSUER,
+      FGA_API_TOKEN,
+    } = process.env;
+
+    let credentials;
+    if (FGA_CLIENT_ID) {
+      credentials = {
+        method: CredentialsMethod.ClientCredentials,
+        config: {
+          clientId: FGA_CLIENT_ID,
+          clientSecret: FGA_CLIENT_SECRET,
+          apiAudience: FGA_API_AUDIENCE,
+          apiTokenIssuer: FGA_API_TOKEN_ISSUER || "auth.fga.dev",
+        },
+      };
+    } else if (FGA_API_TOKEN) {
+      credentials = { method: CredentialsMethod.ApiToken, config: { token: FGA_API_TOKEN } };
+    }
+
+    fga = new OpenFgaClient({
+      apiUrl: FGA_API_URL,
+      storeId: FGA_STORE_ID,
+      ...(FGA_MODEL_ID && { authorizationModelId: FGA_MODEL_ID }),
+      ...(credentials && { credentials }),
+    });
+    console.log(`🔐 OpenFGA client initialized (${FGA_API_URL})`);
+  }
+
+  return fga;
+}
@@ -4,22 +4,29 @@ import { Pinecone } from "@pinecone-database/pinecone";
 
 dotenv.config();
 
-if (!process.env.PINECONE_API_KEY) {
-  console.log('process.env.PINECONE_API_KEY:', process.env.PINECONE_API_KEY);
-  throw new Error("❌ PINECONE_API_KEY is not set in environment variables");
-}
-
-if (!process.env.PINECONE_INDEX) {
-  throw new Error("❌ PINECONE_INDEX is not set in environment variables");
-}
+let pinecone = null;
 
 /**
  * Singleton Pinecone client used throughout the backend.
+ * Created on first use so the server can start without Pinecone credentials
+ * (e.g. when running with the local vector store).
  * Automatically handles connection pooling for serverless indexes.
  */
-export const pinecone = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY,
-});
+export function getPinecone() {
+  if (!process.env.PINECONE_API_KEY) {
+    throw new Error("❌ PINECONE_API_KEY is not set in environment variables");
+  }
 
-console.log("🍍 Pinecone client initialized successfully");
+  if (!process.env.PINECONE_INDEX) {
+    throw new Error("❌ PINECONE_INDEX is not set in environment variables");
+  }
 
+  if (!pinecone) {
+    pinecone = new Pinecone({
+      apiKey: process.env.PINECONE_API_KEY,
+    });
+    console.log("🍍 Pinecone client initialized successfully");
+  }
+
+  return pinecone;
+}
@@ -7,6 +7,13 @@ import chatRouter from "./routes/chat.js";
 import botsRouter from "./routes/bots.js";
 import proxyRouter from "./routes/proxy.js";
 import uploadRouter from "./routes/upload.js";
+import jobsRouter from "./routes/jobs.js";
+import workspacesRouter from "./routes/workspaces.js";
+import { startJobRunner } from "./services/jobs.js";
+import { ensureUsageIndexes } from "./services/usage.js";
+import { configureSharedCache } from "./services/sharedCache.js";
+import { ensureLexicalIndexes } from "./services/lexicalIndex.js";
+import { ensureFeedbackIndexes } from "./services/feedback.js";
 
 dotenv.config();
 
@@ -27,12 +34,19 @@ app.use("/api/chat", chatRouter);
 app.use("/api/bots", botsRouter);
 app.use("/api/proxy", proxyRouter);
 app.use("/api/upload", uploadRouter);
+app.use("/api/jobs", jobsRouter);
+app.use("/api/workspaces", workspacesRouter);
 
 // Connect DB and start server
 const PORT = process.env.PORT || 3000;
 
 connectDB()
-  .then(() => {
+  .then(async () => {
+    await ensureUsageIndexes();
+    await ensureLexicalIndexes();
+    await ensureFeedbackIndexes();
+    await configureSharedCache();
+    startJobRunner();
     app.listen(PORT, () => {
       console.log(`✅ Server running on http://localhost:${PORT}`);
     });
@@ -0,0 +1,104 @@
+// src/middleware/adminAuth.js
+import { getDB } from "../config/db.js";
+import { verifyAccessToken } from "../config/auth0.js";
+import { getWorkspace, getMemberRole, hasRole, isPlatformAdmin } from "../services/workspaces.js";
+
+/**
+ * Verifies the management (dashboard) access token issued by the platform's
+ * own identity provider (ADMIN_AUTH_ISSUER / ADMIN_AUTH_AUDIENCE).
+ * Attaches req.admin (token payload) for downstream handlers.
+ */
+export function requireAdmin() {
+  return async (req, res, next) => {
+    const { ADMIN_AUTH_ISSUER, ADMIN_AUTH_AUDIENCE } = process.env;
+    if (!ADMIN_AUTH_ISSUER || !ADMIN_AUTH_AUDIENCE) {
+      console.error("❌ Management auth is not configured (ADMIN_AUTH_ISSUER / ADMIN_AUTH_AUDIENCE)");
+      return res.status(503).json({ status: "failed", error: "Management authentication is not configured" });
+    }
+
+    const hdr = req.headers.authorization || "";
+    const token = hdr.startsWith("Bearer ") ? hdr.slice(7).trim() : null;
+    if (!token) return res.status(401).json({ status: "failed", error: "No access token provided" });
+
+    try {
+      req.admin = await verifyAccessToken(token, { issuer: ADMIN_AUTH_ISSUER, audience: ADMIN_AUTH_AUDIENCE });
+      next();
+    } catch (err) {
+      console.error("❌ Management auth error:", err.message);
+      return res.status(401).json({ status: "failed", error: "Invalid or expired access token" });
+    }
+  };
+}
+
+/**
+ * Requires the authenticated member to hold at least `minRole` in the
+ * workspace given by :workspaceId (or body.workspaceId).
+ * Attaches req.workspace and req.memberRole.
+ */
+export function requireWorkspaceRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = req.params?.workspaceId || req.body?.workspaceId || req.query?.workspaceId;
+      if (!workspaceId) return res.status(400).json({ status: "failed", error: "Missing workspaceId" });
+
+      const workspace = await getWorkspace(workspaceId);
+      if (!workspace) return res.status(404).json({ status: "failed", error: "Workspace not found" });
+
+      const role = getMemberRole(workspace, req.admin?.sub);
+      if (!hasRole(role, minRole)) {
+        return res.status(403).json({ status: "failed", error: `Forbidden: requires ${minRole} role` });
+      }
+
+      req.workspace = workspace;
+      req.memberRole = role;
+      next();
+    } catch (err) {
+      console.error("❌ Workspace role check error:", err);
+      return res.status(500).json({ status: "failed", error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Resolves a member's role for a bot through the workspace that owns it.
+ * Bots without a workspace are only manageable by platform admins.
+ * @returns {Promise<{ workspace: object|null, role: string|null }>}
+ */
+export async function getBotRole(bot, sub) {
+  const workspace = await getWorkspace(bot.workspaceId);
+  const role = workspace ? getMemberRole(workspace, sub) : isPlatformAdmin(sub) ? "owner" : null;
+  return { workspace, role };
+}
+
+/**
+ * Requires the authenticated member to hold at least `minRole` in the
+ * workspace that owns the bot given by :botId (or body.botId).
+ * Attaches req.bot, req.workspace and req.memberRole.
+ */
+export function requireBotRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      const botId = req.params?.botId || req.body?.botId;
+      if (!botId) return res.status(400).json({ status: "failed", error: "Missing botId" });
+
+      const bot = await getDB().collection("bots").findOne({ botId });
+      if (!bot) return res.status(404).json({ status: "failed", error: "Bot not found" });
+
+      const { workspace, role } = await getBotRole(bot, req.admin?.sub);
+
+      // Don't reveal bots from other workspaces
+      if (!role) return res.status(404).json({ status: "failed", error: "Bot not found" });
+      if (!hasRole(role, minRole)) {
+        return res.status(403).json({ status: "failed", error: `Forbidden: requires ${minRole} role` });
+      }
+
+      req.bot = bot;
+      req.workspace = workspace;
+      req.memberRole = role;
+      next();
+    } catch (err) {
+      console.error("❌ Bot role check error:", err);
+      return res.status(500).json({ status: "failed", error: "Internal server error" });
+    }
+  };
+}
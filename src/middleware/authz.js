@@ -1,39 +1,58 @@
 // src/middleware/authz.js
 import { getDB } from "../config/db.js";
-import { getTokenFromRequest, verifyAccessToken } from "../config/auth0.js";
+import {
+  getTokenFromRequest,
+  verifyAccessToken,
+  getBotTokenOptions,
+  TokenVerificationError,
+} from "../config/auth0.js";
 
 /**
- * Loads the bot by :botId or body.botId and verifies the user's access token
- * against that bot's Auth0 domain/audience.
+ * Sends a 401 with a machine-readable reason and the matching
+ * WWW-Authenticate header (RFC 6750).
+ */
+function unauthorized(res, reason, message) {
+  // error_description is a quoted-string: drop the characters that would end or escape it
+  const description = String(message).replace(/["\\]/g, "");
+  res.set("WWW-Authenticate", `Bearer error="invalid_token", error_description="${description}"`);
+  return res.status(401).json({ error: message, reason });
+}
+
+/**
+ * Loads the bot by :botId, body.botId or ?botId and verifies the user's access
+ * token against that bot's identity provider (Auth0 domain or any OIDC issuer),
+ * audience, allowed algorithms and clock tolerance.
  * Attaches req.bot, req.user, req.token for downstream handlers.
  */
 export function authz() {
   return async (req, res, next) => {
     try {
       const db = getDB();
-      const botId = req.params?.botId || req.body?.botId;
+      const botId = req.params?.botId || req.body?.botId || req.query?.botId;
       if (!botId) return res.status(400).json({ error: "Missing botId" });
 
       const bot = await db.collection("bots").findOne({ botId });
       if (!bot) return res.status(404).json({ error: "Bot not found" });
+      if (bot.disabled) return res.status(403).json({ error: "Bot is disabled" });
 
-      // const token = getTokenFromRequest(req);
-      // if (!token) return res.status(401).json({ error: "No access token provided" });
-
-      // const issuer = `https://${bot.authDomain}/`;
-      // const audience = bot.authAudience;
+      const token = getTokenFromRequest(req);
+      if (!token) return unauthorized(res, "missing_token", "No access token provided");
 
-      // // Verify access token via JOSE
-      // const payload = await verifyAccessToken(token, { issuer, audience });
+      // Verify access token via JOSE (JWKS cached per issuer)
+      const payload = await verifyAccessToken(token, getBotTokenOptions(bot));
 
-      // req.bot = bot;
-      // req.user = payload;
-      // req.token = token;
+      req.bot = bot;
+      req.user = payload;
+      req.token = token;
 
       next();
     } catch (err) {
+      if (err instanceof TokenVerificationError) {
+        console.warn(`🔒 authz: token rejected (${err.reason}): ${err.message}`);
+        return unauthorized(res, err.reason, err.message);
+      }
       console.error("❌ authz middleware error:", err);
-      return res.status(401).json({ error: "Invalid or expired access token" });
+      return res.status(500).json({ error: "Internal server error" });
     }
   };
 }
@@ -0,0 +1,53 @@
+// src/middleware/rateLimit.js
+import { consumeChatRequest } from "../services/usage.js";
+
+const LIMIT_MESSAGES = {
+  requestsPerMinute: (max) => `Rate limit exceeded: ${max} requests per minute`,
+  messagesPerDay: (max) => `Daily message quota of ${max} reached`,
+  tokensPerMonth: (max) => `Monthly token budget of ${max} reached`,
+};
+
+/**
+ * Counts the request against the bot's and the user's chat limits (see
+ * services/usage.js) and answers 429 with Retry-After once one is exceeded.
+ * Sets X-RateLimit-Limit / -Remaining / -Reset for the tightest per-minute
+ * limit. Must run after authz(), which attaches req.bot and req.user.
+ *
+ * If the usage store is unreachable the request is let through: chat should
+ * not go down with the counters.
+ */
+export function chatRateLimit() {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await consumeChatRequest(req.bot, req.user?.sub);
+    } catch (err) {
+      console.error("❌ Rate limit check failed, allowing request:", err.message);
+      return next();
+    }
+
+    const { allowed, exceeded, window } = result;
+    if (window) {
+      res.set({
+        "X-RateLimit-Limit": String(window.max),
+        "X-RateLimit-Remaining": String(Math.max(0, window.remaining)),
+        "X-RateLimit-Reset": String(Math.ceil(window.resetAt.getTime() / 1000)),
+      });
+    }
+    if (allowed) return next();
+
+    const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt.getTime() - Date.now()) / 1000));
+    console.warn(`🚦 Chat limit ${exceeded.limit} (${exceeded.scope}) hit for bot ${req.bot.botId}, user ${req.user?.sub}`);
+
+    res.set("Retry-After", String(retryAfter));
+    if (exceeded.limit === "requestsPerMinute") res.set("X-RateLimit-Remaining", "0");
+    return res.status(429).json({
+      status: "failed",
+      error: LIMIT_MESSAGES[exceeded.limit](exceeded.max),
+      code: exceeded.limit === "requestsPerMinute" ? "rate_limited" : "quota_exceeded",
+      limit: exceeded.limit,
+      scope: exceeded.scope,
+      retryAfter,
+    });
+  };
+}
@@ -1,35 +1,40 @@
 // src/middleware/roleCheck.js
+import { checkEndpointAccess } from "../utils/endpointRules.js";
+import { recordAuditEvent } from "../services/audit.js";
 
 /**
- * Finds the rule for an endpoint from the bot's stored JSON mapping.
- */
-function findRuleForEndpoint(bot, endpoint) {
-  try {
-    const rules = JSON.parse(bot.endpointRoles || "[]");
-    return rules.find((r) => r.endpoint === endpoint) || null;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Ensures the user (from req.user) has at least one of the allowed roles
- * for the provided endpoint. Uses the bot's rolesNamespace claim.
+ * Ensures the user (from req.user) may call the requested endpoint with the
+ * requested method, using the bot's endpoint rules (path templates,
+ * wildcards, per-method roles; see utils/endpointRules.js) and the roles read
+ * from the bot's configured claim paths.
+ *
+ * Endpoints without any rule are open unless the bot sets `denyByDefault`;
+ * methods a path's rules don't name are refused.
  */
 export function requiresRoleForEndpoint() {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const { bot, user } = req;
     const endpoint = req.body?.endpoint || req.params?.endpoint;
+    const method = req.body?.method || "GET";
     if (!endpoint) return res.status(400).json({ error: "Missing endpoint" });
 
-    const rule = findRuleForEndpoint(bot, endpoint);
-    if (!rule) return next(); // open if no rule is defined
-
-    const rolesNs = bot.rolesNamespace;
-    const userRoles = (user?.[rolesNs] || []).map(String);
-
-    const permitted = rule.roles.some((r) => userRoles.includes(String(r)));
-    if (!permitted) return res.status(403).json({ error: "Forbidden: insufficient role" });
+    const access = checkEndpointAccess(bot, user, endpoint, method);
+    if (!access.allowed) {
+      const error =
+        access.reason === "no_rule"
+          ? "Forbidden: endpoint is not enabled for this bot"
+          : access.reason === "method_not_allowed"
+            ? "Forbidden: method is not enabled for this endpoint"
+            : "Forbidden: insufficient role";
+      await recordAuditEvent({
+        type: "proxy.denied",
+        botId: bot?.botId,
+        userSub: user?.sub,
+        outcome: "denied",
+        details: { method: String(method).toUpperCase(), endpoint, reason: access.reason },
+      });
+      return res.status(403).json({ error });
+    }
 
     return next();
   };
@@ -1,18 +1,17 @@
 // src/middleware/upload.js
 import multer from "multer";
-import path from "path";
 import dotenv from "dotenv";
+import { findExtractor, supportedExtensions } from "../services/extractors/index.js";
 
 dotenv.config();
 
-const MAX_FILE_SIZE = parseInt(process.env.MAX_PDF_SIZE) || 3 * 1024 * 1024; // default 3MB
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE || process.env.MAX_PDF_SIZE) || 3 * 1024 * 1024; // default 3MB
 
 const storage = multer.memoryStorage(); // store in memory for direct processing
 
 function fileFilter(req, file, cb) {
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (ext !== ".pdf") {
-    return cb(new Error("Only PDF files are allowed"), false);
+  if (!findExtractor(file)) {
+    return cb(new Error(`Unsupported file type. Allowed: ${supportedExtensions().join(", ")}`), false);
   }
   cb(null, true);
 }
@@ -22,3 +21,44 @@ export const upload = multer({
   limits: { fileSize: MAX_FILE_SIZE },
   fileFilter,
 });
+
+/**
+ * Checks the uploaded file's magic bytes (or text encoding, for text formats)
+ * against the type its extension claims. Runs after multer, once the buffer exists.
+ */
+export function verifyFileSignature(req, res, next) {
+  if (!req.file) return next();
+
+  const extractor = findExtractor(req.file);
+  if (!extractor || !extractor.matchesSignature(req.file.buffer)) {
+    return res.status(400).json({
+      status: "failed",
+      error: `File content does not match its type: ${req.file.originalname}`,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Single "knowledgeBase" file upload with content verification.
+ */
+export const uploadKnowledgeBase = [upload.single("knowledgeBase"), verifyFileSignature];
+
+const MAX_SPEC_SIZE = parseInt(process.env.MAX_SPEC_SIZE) || 2 * 1024 * 1024; // default 2MB
+const SPEC_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+/**
+ * Single "spec" file upload for OpenAPI / Swagger documents (JSON or YAML).
+ */
+export const uploadApiSpec = multer({
+  storage,
+  limits: { fileSize: MAX_SPEC_SIZE },
+  fileFilter(req, file, cb) {
+    const name = file.originalname.toLowerCase();
+    if (!SPEC_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+      return cb(new Error(`Unsupported specification file. Allowed: ${SPEC_EXTENSIONS.join(", ")}`), false);
+    }
+    cb(null, true);
+  },
+}).single("spec");
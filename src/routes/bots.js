@@ -1,18 +1,78 @@
 import express from "express";
 import crypto from "crypto";
-import { PDFParse } from "pdf-parse";
-import { upload } from "../middleware/upload.js";
+import { uploadKnowledgeBase, uploadApiSpec } from "../middleware/upload.js";
+import { requireAdmin, requireWorkspaceRole, requireBotRole } from "../middleware/adminAuth.js";
 import { getDB } from "../config/db.js";
-import { processDocument } from "../services/rag.js";
+import { queueIngestion } from "../services/ingestion.js";
+import { listDocuments, getDocument, deleteDocument } from "../services/documents.js";
+import { listBots, setBotDisabled, deleteBot, toBotView } from "../services/bots.js";
+import { listWorkspacesForUser, isPlatformAdmin } from "../services/workspaces.js";
+import { parseSpec, extractOperations, buildEndpointRules, OpenApiError } from "../services/openapi.js";
+import { getToolPolicy, ACTION_POLICIES } from "../services/tools.js";
+import { listAuditEvents, findAuditEvents, AUDIT_EVENT_TYPES } from "../services/audit.js";
+import { parseAnalyticsQuery, getBotAnalytics } from "../services/analytics.js";
+import { parseRateLimits, getUsageReport } from "../services/usage.js";
+import { parseRetrievalSettings } from "../services/retrieval.js";
+import { parseChunkingSettings } from "../services/chunking/index.js";
+import {
+  DocumentAccessError,
+  parseSubjects,
+  listDocumentReaders,
+  grantDocumentAccess,
+  revokeDocumentAccess,
+  documentObject,
+  getDocumentAccessMode,
+} from "../services/documentAccess.js";
+import {
+  EvaluationError,
+  createEvalSet,
+  listEvalSets,
+  getEvalSet,
+  updateEvalSet,
+  deleteEvalSet,
+  queueEvaluation,
+  listEvalRuns,
+  getEvalRun,
+  setEvalBaseline,
+} from "../services/evaluation.js";
+import {
+  FeedbackError,
+  FEEDBACK_RATINGS,
+  FEEDBACK_CATEGORIES,
+  FEEDBACK_STATUSES,
+  listFeedback,
+  getFeedback,
+  setFeedbackStatus,
+  promoteFeedback,
+} from "../services/feedback.js";
+import {
+  QaOverrideError,
+  createQaOverride,
+  listQaOverrides,
+  getQaOverride,
+  updateQaOverride,
+  deleteQaOverride,
+} from "../services/qaOverrides.js";
+import { invalidateBotCache, getCacheStats } from "../utils/cache.js";
 import { validateBotConfig } from "../utils/validators.js";
 
 const router = express.Router();
 
+// maxToolSteps from a request body; "" (or null) means unset, i.e. AGENT_MAX_STEPS applies
+function parseMaxToolSteps(value) {
+  return value === undefined || value === null || value === "" ? undefined : Number(value);
+}
+
+// All bot management routes require an authenticated workspace member
+router.use(requireAdmin());
+
 /**
  * POST /api/bots/create
- * Create a new bot and process its knowledge base (PDF).
+ * Create a new bot and queue its knowledge base
+ * (PDF, DOCX, Markdown, HTML, plain text or CSV) for background ingestion.
+ * Requires editor role in body.workspaceId.
  */
-router.post("/create", upload.single("knowledgeBase"), async (req, res) => {
+router.post("/create", uploadKnowledgeBase, requireWorkspaceRole("editor"), async (req, res) => {
   const db = getDB();
 
   try {
@@ -20,7 +80,7 @@ router.post("/create", upload.single("knowledgeBase"), async (req, res) => {
     const error = validateBotConfig(req.body);
     if (error) return res.status(400).json({ status: "failed", error });
     if (!req.file)
-      return res.status(400).json({ status: "failed", error: "No PDF file uploaded" });
+      return res.status(400).json({ status: "failed", error: "No knowledge base file uploaded" });
 
     // --- Parse endpoint roles ---
     let parsedRoles = [];
@@ -34,8 +94,11 @@ router.post("/create", upload.single("knowledgeBase"), async (req, res) => {
     const botId = `euclid-bot-${crypto.randomUUID()}`;
     const botsCollection = db.collection("bots");
 
+    const maxToolSteps = parseMaxToolSteps(req.body.maxToolSteps);
     const botDoc = {
       botId,
+      workspaceId: req.workspace.workspaceId,
+      createdBy: req.admin.sub,
       businessName: req.body.businessName,
       botName: req.body.botName,
       botPersona: req.body.botPersona,
@@ -45,8 +108,24 @@ router.post("/create", upload.single("knowledgeBase"), async (req, res) => {
       authDomain: req.body.authDomain,
       authAudience: req.body.authAudience,
       authClientId: req.body.authClientId,
+      ...(req.body.authIssuer && { authIssuer: req.body.authIssuer }),
+      ...(req.body.authJwksUri && { authJwksUri: req.body.authJwksUri }),
+      ...(req.body.authAlgorithms && { authAlgorithms: req.body.authAlgorithms }),
+      ...(req.body.authClockTolerance && { authClockTolerance: Number(req.body.authClockTolerance) }),
       ...(req.body.rolesNamespace && { rolesNamespace: req.body.rolesNamespace }),
+      ...(req.body.roleClaims && { roleClaims: req.body.roleClaims }),
+      denyByDefault: String(req.body.denyByDefault) === "true",
+      ...(req.body.auditPayloads && { auditPayloads: req.body.auditPayloads }),
+      ...(req.body.auditRedactKeys && { auditRedactKeys: req.body.auditRedactKeys }),
+      ...(req.body.llmProvider && { llmProvider: req.body.llmProvider }),
+      ...(req.body.llmModel && { llmModel: req.body.llmModel }),
+      ...(maxToolSteps !== undefined && { maxToolSteps }),
+      ...(req.body.rateLimits && { rateLimits: parseRateLimits(req.body.rateLimits) }),
+      ...(req.body.retrieval && { retrieval: parseRetrievalSettings(req.body.retrieval) }),
+      ...(req.body.chunking && { chunking: parseChunkingSettings(req.body.chunking) }),
+      ...(req.body.documentAccess && { documentAccess: req.body.documentAccess }),
       embeddingStatus: "pending",
+      disabled: false,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -54,42 +133,11 @@ router.post("/create", upload.single("knowledgeBase"), async (req, res) => {
     await botsCollection.insertOne(botDoc);
     console.log(`🧩 Creating bot ${botId}...`);
 
-    // --- Extract text from PDF ---
-    const parser = new PDFParse({ data: req.file.buffer });
-    const textResult = await parser.getText();
-    await parser.destroy();
-
-    const pdfText = textResult.text?.trim() || "";
-    if (!pdfText) {
-      await botsCollection.updateOne(
-        { botId },
-        { $set: { embeddingStatus: "failed", updatedAt: new Date() } }
-      );
-      console.error("❌ PDF extraction failed — no text found.");
-      return res.status(400).json({ status: "failed", error: "Failed to extract text from PDF" });
-    }
-
-    console.log(`📄 Extracted ${pdfText.length} characters from ${req.file.originalname}`);
-
-    // --- Process and upload to Pinecone ---
-    const success = await processDocument(botId, pdfText, req.file.originalname);
-
-    if (!success) {
-      await botsCollection.updateOne(
-        { botId },
-        { $set: { embeddingStatus: "failed", updatedAt: new Date() } }
-      );
-      console.error(`❌ Embedding or Pinecone ingestion failed for bot ${botId}`);
-      return res.status(500).json({ status: "failed", error: "Failed to process document" });
-    }
-
-    await botsCollection.updateOne(
-      { botId },
-      { $set: { embeddingStatus: "complete", updatedAt: new Date() } }
-    );
+    // --- Queue extraction, chunking and upload to the vector store ---
+    const job = await queueIngestion(botId, req.file);
 
-    console.log(`✅ Bot ${botId} created and knowledge base processed successfully.`);
-    return res.json({ botId, status: "complete" });
+    console.log(`✅ Bot ${botId} created; knowledge base queued as job ${job.jobId}.`);
+    return res.status(202).json({ botId, status: "pending", jobId: job.jobId });
   } catch (err) {
     console.error("❌ Error creating bot:", err);
     return res.status(500).json({
@@ -99,23 +147,49 @@ router.post("/create", upload.single("knowledgeBase"), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/bots
+ * List bots in the caller's workspaces. Query: page, limit (max 100),
+ * workspaceId, status (active|disabled), embeddingStatus (pending|complete|failed),
+ * q (name search).
+ */
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status, embeddingStatus, q, workspaceId } = req.query;
+
+    if (status && !["active", "disabled"].includes(status))
+      return res.status(400).json({ status: "failed", error: "status must be active or disabled" });
+
+    // Scope to the caller's workspaces (platform admins see everything)
+    const filter = {};
+    if (!isPlatformAdmin(req.admin.sub)) {
+      const memberOf = (await listWorkspacesForUser(req.admin.sub)).map((w) => w.workspaceId);
+      if (workspaceId && !memberOf.includes(workspaceId))
+        return res.status(403).json({ status: "failed", error: "Forbidden: not a member of this workspace" });
+      filter.workspaceId = workspaceId || { $in: memberOf };
+    } else if (workspaceId) {
+      filter.workspaceId = workspaceId;
+    }
+
+    const result = await listBots({ page, limit, status, embeddingStatus, q, filter });
+    return res.json({ status: "success", ...result });
+  } catch (err) {
+    console.error("❌ Error listing bots:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
 /**
  * GET /api/bots/:botId
- * Retrieve bot configuration
+ * Retrieve bot configuration (auth settings are hidden from viewers)
  */
-router.get("/:botId", async (req, res) => {
-  const db = getDB();
+router.get("/:botId", requireBotRole("viewer"), async (req, res) => {
   console.log("Fetching bot details");
 
   try {
-    const bot = await db
-      .collection("bots")
-      .findOne({ botId: req.params.botId }, { projection: { _id: 0 } });
-
-    if (!bot)
-      return res.status(404).json({ status: "failed", error: "Bot not found" });
-
-    return res.json({ status: "success", bot });
+    return res.json({ status: "success", bot: toBotView(req.bot, req.memberRole), role: req.memberRole });
   } catch (err) {
     console.error("❌ Error fetching bot:", err);
     return res.status(500).json({ status: "failed", error: "Internal server error" });
@@ -124,9 +198,9 @@ router.get("/:botId", async (req, res) => {
 
 /**
  * PUT /api/bots/:botId
- * Update bot configuration and optionally re-upload its knowledge base.
+ * Update bot configuration and optionally queue a new knowledge base file.
  */
-router.put("/:botId", upload.single("knowledgeBase"), async (req, res) => {
+router.put("/:botId", requireBotRole("editor"), uploadKnowledgeBase, async (req, res) => {
   console.log("Fetching bot for update:", req.params.botId);
   const db = getDB();
 
@@ -142,77 +216,832 @@ router.put("/:botId", upload.single("knowledgeBase"), async (req, res) => {
     if (error)
       return res.status(400).json({ status: "failed", error });
 
-    // --- Parse endpoint roles ---
-    let parsedRoles = [];
-    try {
-      parsedRoles = JSON.parse(req.body.endpointRoles || "[]");
-    } catch {
-      parsedRoles = [];
+    // --- Parse endpoint roles (kept as-is when not sent, e.g. after an OpenAPI import) ---
+    let parsedRoles = null;
+    if (req.body.endpointRoles !== undefined) {
+      try {
+        parsedRoles = JSON.parse(req.body.endpointRoles || "[]");
+      } catch {
+        parsedRoles = [];
+      }
     }
 
+    const maxToolSteps = parseMaxToolSteps(req.body.maxToolSteps);
     const updateData = {
       businessName: req.body.businessName || bot.businessName,
       botName: req.body.botName || bot.botName,
       botPersona: req.body.botPersona || bot.botPersona,
       defaultPrompt: req.body.defaultPrompt || bot.defaultPrompt,
       apiBaseUrl: req.body.apiBaseUrl || bot.apiBaseUrl,
-      endpointRoles: JSON.stringify(parsedRoles),
+      ...(parsedRoles && { endpointRoles: JSON.stringify(parsedRoles) }),
       authDomain: req.body.authDomain || bot.authDomain,
       authAudience: req.body.authAudience || bot.authAudience,
+      ...(req.body.authIssuer !== undefined && { authIssuer: req.body.authIssuer }),
+      ...(req.body.authJwksUri !== undefined && { authJwksUri: req.body.authJwksUri }),
+      ...(req.body.authAlgorithms !== undefined && { authAlgorithms: req.body.authAlgorithms }),
+      ...(req.body.authClockTolerance !== undefined && { authClockTolerance: Number(req.body.authClockTolerance) }),
       ...(req.body.rolesNamespace !== undefined && { rolesNamespace: req.body.rolesNamespace }),
+      ...(req.body.roleClaims !== undefined && { roleClaims: req.body.roleClaims }),
+      ...(req.body.denyByDefault !== undefined && { denyByDefault: String(req.body.denyByDefault) === "true" }),
+      ...(req.body.auditPayloads !== undefined && { auditPayloads: req.body.auditPayloads }),
+      ...(req.body.auditRedactKeys !== undefined && { auditRedactKeys: req.body.auditRedactKeys }),
+      ...(req.body.llmProvider !== undefined && { llmProvider: req.body.llmProvider }),
+      ...(req.body.llmModel !== undefined && { llmModel: req.body.llmModel }),
+      ...(maxToolSteps !== undefined && { maxToolSteps }),
+      ...(req.body.rateLimits !== undefined && { rateLimits: parseRateLimits(req.body.rateLimits) || {} }),
+      ...(req.body.retrieval !== undefined && { retrieval: parseRetrievalSettings(req.body.retrieval) || {} }),
+      ...(req.body.chunking !== undefined && { chunking: parseChunkingSettings(req.body.chunking) || {} }),
+      ...(req.body.documentAccess !== undefined && { documentAccess: req.body.documentAccess }),
       updatedAt: new Date(),
     };
 
-    // --- If new PDF is provided, re-process ---
+    // Fields sent empty to go back to their default
+    const unsetData = {
+      ...(req.body.maxToolSteps !== undefined && maxToolSteps === undefined && { maxToolSteps: "" }),
+    };
+
+    // --- Save the configuration ---
+    await botsCollection.updateOne(
+      { botId: req.params.botId },
+      { $set: updateData, ...(Object.keys(unsetData).length && { $unset: unsetData }) }
+    );
+    await invalidateBotCache(req.params.botId, "configuration changed");
+
+    // --- If a new knowledge base file is provided, queue re-processing ---
     if (req.file) {
-      console.log(`🔁 Reprocessing bot ${req.params.botId} with new PDF...`);
-
-      const parser = new PDFParse({ data: req.file.buffer });
-      const textResult = await parser.getText();
-      await parser.destroy();
-
-      const pdfText = textResult.text?.trim() || "";
-      if (!pdfText) {
-        await botsCollection.updateOne(
-          { botId: req.params.botId },
-          { $set: { embeddingStatus: "failed", updatedAt: new Date() } }
-        );
-        console.error("❌ New PDF extraction failed — no text found.");
-        return res.status(400).json({
-          status: "failed",
-          error: "Failed to extract text from new PDF file",
-        });
-      }
+      const job = await queueIngestion(req.params.botId, req.file);
+      console.log(`🔁 Reprocessing bot ${req.params.botId} with new ${req.file.originalname} (job ${job.jobId})`);
+      return res.status(202).json({ status: "success", botId: req.params.botId, jobId: job.jobId });
+    }
+
+    return res.json({ status: "success", botId: req.params.botId });
+  } catch (err) {
+    console.error("❌ Error updating bot:", err);
+    return res.status(500).json({
+      status: "failed",
+      error: err.message || "Internal server error",
+    });
+  }
+});
+
+/**
+ * POST /api/bots/:botId/disable
+ * POST /api/bots/:botId/enable
+ * Soft-disable a bot (chat and proxy traffic is refused) or re-enable it.
+ */
+for (const action of ["disable", "enable"]) {
+  router.post(`/:botId/${action}`, requireBotRole("editor"), async (req, res) => {
+    try {
+      const found = await setBotDisabled(req.params.botId, action === "disable");
+      if (!found)
+        return res.status(404).json({ status: "failed", error: "Bot not found" });
+
+      console.log(`${action === "disable" ? "⏸️" : "▶️"} Bot ${req.params.botId} ${action}d`);
+      return res.json({ status: "success", botId: req.params.botId, disabled: action === "disable" });
+    } catch (err) {
+      console.error(`❌ Error trying to ${action} bot:`, err);
+      return res.status(500).json({ status: "failed", error: "Internal server error" });
+    }
+  });
+}
+
+/**
+ * DELETE /api/bots/:botId
+ * Permanently delete a bot with its vectors, documents, conversations, evaluations and cache (owner only).
+ * If cleanup fails part-way the bot stays disabled and marked `deleting`; deleting it again resumes.
+ */
+router.delete("/:botId", requireBotRole("owner"), async (req, res) => {
+  try {
+    const deleted = await deleteBot(req.params.botId);
+    if (!deleted)
+      return res.status(404).json({ status: "failed", error: "Bot not found" });
 
-      await botsCollection.updateOne(
+    return res.json({ status: "success", botId: req.params.botId });
+  } catch (err) {
+    console.error("❌ Error deleting bot:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bots/:botId/documents
+ * List the documents in a bot's knowledge base.
+ */
+router.get("/:botId/documents", requireBotRole("viewer"), async (req, res) => {
+  try {
+    const documents = await listDocuments(req.params.botId);
+    return res.json({ status: "success", documents });
+  } catch (err) {
+    console.error("❌ Error listing documents:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * PUT /api/bots/:botId/documents/:docId
+ * Replace a document with a new file; its old chunks are swapped out
+ * once the queued ingestion job finishes.
+ */
+router.put("/:botId/documents/:docId", requireBotRole("editor"), uploadKnowledgeBase, async (req, res) => {
+  try {
+    if (!req.file)
+      return res.status(400).json({ status: "failed", error: "No knowledge base file uploaded" });
+
+    const existing = await getDocument(req.params.botId, req.params.docId);
+    if (!existing)
+      return res.status(404).json({ status: "failed", error: "Document not found" });
+
+    const job = await queueIngestion(req.params.botId, req.file, { docId: req.params.docId });
+    return res.status(202).json({ status: "success", botId: req.params.botId, docId: req.params.docId, jobId: job.jobId });
+  } catch (err) {
+    console.error("❌ Error replacing document:", err);
+    return res.status(500).json({ status: "failed", error: err.message || "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/bots/:botId/documents/:docId
+ * Remove a document and its vectors from the knowledge base.
+ */
+router.delete("/:botId/documents/:docId", requireBotRole("editor"), async (req, res) => {
+  try {
+    const deleted = await deleteDocument(req.params.botId, req.params.docId);
+    if (!deleted)
+      return res.status(404).json({ status: "failed", error: "Document not found" });
+
+    return res.json({ status: "success", docId: req.params.docId });
+  } catch (err) {
+    console.error("❌ Error deleting document:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * Runs a document permission handler, mapping a missing document to 404 and
+ * DocumentAccessError to its status.
+ */
+function withDocumentAccess(handler) {
+  return async (req, res) => {
+    try {
+      const doc = await getDocument(req.params.botId, req.params.docId);
+      if (!doc)
+        return res.status(404).json({ status: "failed", error: "Document not found" });
+      return await handler(req, res, doc);
+    } catch (err) {
+      if (err instanceof DocumentAccessError)
+        return res.status(err.status).json({ status: "failed", error: err.message });
+      console.error("❌ Error managing document access:", err);
+      return res.status(500).json({ status: "failed", error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * GET /api/bots/:botId/documents/:docId/access
+ * Who can read a document: { users: [...], groups: [...] } ("*" = every user).
+ */
+router.get(
+  "/:botId/documents/:docId/access",
+  requireBotRole("editor"),
+  withDocumentAccess(async (req, res, doc) => {
+    const readers = await listDocumentReaders(req.params.botId, doc.filename);
+    return res.json({
+      status: "success",
+      docId: doc.docId,
+      object: documentObject(req.params.botId, doc.filename),
+      mode: getDocumentAccessMode(req.bot),
+      users: readers.filter((r) => r.type === "user").map((r) => r.id),
+      groups: readers.filter((r) => r.type === "group").map((r) => r.id),
+    });
+  })
+);
+
+/**
+ * POST /api/bots/:botId/documents/:docId/access
+ * Grant read access on a document. Body: { users?: [...], groups?: [...] }.
+ */
+router.post(
+  "/:botId/documents/:docId/access",
+  requireBotRole("editor"),
+  withDocumentAccess(async (req, res, doc) => {
+    const subjects = parseSubjects(req.body);
+    if (!subjects)
+      return res.status(400).json({ status: "failed", error: "Provide users and/or groups as arrays of IDs" });
+
+    const granted = await grantDocumentAccess(req.params.botId, doc.filename, subjects);
+    if (granted) await invalidateBotCache(req.params.botId, `access to ${doc.filename} granted`);
+    return res.json({ status: "success", docId: doc.docId, granted });
+  })
+);
+
+/**
+ * DELETE /api/bots/:botId/documents/:docId/access
+ * Revoke read access on a document. Body: { users?: [...], groups?: [...] }.
+ */
+router.delete(
+  "/:botId/documents/:docId/access",
+  requireBotRole("editor"),
+  withDocumentAccess(async (req, res, doc) => {
+    const subjects = parseSubjects(req.body);
+    if (!subjects)
+      return res.status(400).json({ status: "failed", error: "Provide users and/or groups as arrays of IDs" });
+
+    const revoked = await revokeDocumentAccess(req.params.botId, doc.filename, subjects);
+    if (revoked) await invalidateBotCache(req.params.botId, `access to ${doc.filename} revoked`);
+    return res.json({ status: "success", docId: doc.docId, revoked });
+  })
+);
+
+/**
+ * Summary of the imported operations, flagging the ones exposed to the model.
+ */
+function operationsView(bot) {
+  let rules = [];
+  try {
+    rules = JSON.parse(bot.endpointRoles || "[]");
+  } catch {
+    rules = [];
+  }
+  const exposed = new Map(rules.filter((r) => r.operationId).map((r) => [r.operationId, r]));
+
+  return (bot.apiOperations || []).map((op) => ({
+    operationId: op.operationId,
+    method: op.method,
+    endpoint: op.endpoint,
+    summary: op.summary,
+    tags: op.tags,
+    exposed: exposed.has(op.operationId),
+    roles: exposed.get(op.operationId)?.roles || [],
+    ...(exposed.has(op.operationId) && { policy: getToolPolicy(exposed.get(op.operationId), op.method) }),
+  }));
+}
+
+/**
+ * POST /api/bots/:botId/openapi
+ * Import an OpenAPI 3 / Swagger 2 document (multipart "spec" file, or JSON
+ * body { spec }) as the bot's available operations. Nothing is exposed to the
+ * model until operations are picked with PUT /api/bots/:botId/endpoints.
+ */
+router.post("/:botId/openapi", requireBotRole("editor"), uploadApiSpec, async (req, res) => {
+  try {
+    const source = req.file?.buffer ?? req.body?.spec;
+    if (!source)
+      return res.status(400).json({ status: "failed", error: "No API specification provided" });
+
+    const { info, operations } = extractOperations(parseSpec(source));
+    if (!operations.length)
+      return res.status(400).json({ status: "failed", error: "API specification has no operations" });
+
+    const apiSpec = { ...info, operationCount: operations.length, importedAt: new Date() };
+    const bot = await getDB()
+      .collection("bots")
+      .findOneAndUpdate(
         { botId: req.params.botId },
-        { $set: { embeddingStatus: "pending", updatedAt: new Date() } }
+        { $set: { apiSpec, apiOperations: operations, updatedAt: new Date() } },
+        { returnDocument: "after" }
       );
+    if (!bot)
+      return res.status(404).json({ status: "failed", error: "Bot not found" });
 
-      const success = await processDocument(req.params.botId, pdfText, req.file.originalname);
+    console.log(`📑 Imported ${operations.length} operations from "${info.title}" for bot ${req.params.botId}`);
+    return res.json({ status: "success", botId: req.params.botId, apiSpec, operations: operationsView(bot) });
+  } catch (err) {
+    if (err instanceof OpenApiError) {
+      return res.status(err.status).json({ status: "failed", error: err.message });
+    }
+    console.error("❌ Error importing API specification:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
 
-      if (!success) {
-        await botsCollection.updateOne(
-          { botId: req.params.botId },
-          { $set: { embeddingStatus: "failed", updatedAt: new Date() } }
-        );
-        console.error(`❌ Re-ingestion failed for bot ${req.params.botId}`);
-        return res.status(500).json({ status: "failed", error: "Document processing failed" });
-      }
+/**
+ * GET /api/bots/:botId/openapi
+ * List the imported operations and which of them are exposed (with roles).
+ */
+router.get("/:botId/openapi", requireBotRole("viewer"), async (req, res) => {
+  try {
+    return res.json({
+      status: "success",
+      botId: req.params.botId,
+      apiSpec: req.bot.apiSpec || null,
+      operations: operationsView(req.bot),
+    });
+  } catch (err) {
+    console.error("❌ Error listing API operations:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
 
-      updateData.embeddingStatus = "complete";
-      console.log(`✅ Bot ${req.params.botId} successfully re-processed.`);
+/**
+ * PUT /api/bots/:botId/endpoints
+ * Choose which imported operations the model may call and the roles each needs:
+ * { operations: [{ operationId, roles: ["admin"], policy: "confirm" }] }. Replaces the previously
+ * selected operations; hand-written endpointRoles entries are kept.
+ */
+router.put("/:botId/endpoints", requireBotRole("editor"), async (req, res) => {
+  try {
+    const selection = req.body?.operations;
+    if (!Array.isArray(selection))
+      return res.status(400).json({ status: "failed", error: "operations must be an array" });
+
+    const badPolicy = selection.find((item) => item?.policy && !ACTION_POLICIES.includes(item.policy));
+    if (badPolicy)
+      return res.status(400).json({
+        status: "failed",
+        error: `Invalid policy "${badPolicy.policy}": must be one of ${ACTION_POLICIES.join(", ")}`,
+      });
+
+    const { rules, unknown } = buildEndpointRules(req.bot.apiOperations || [], selection);
+    if (unknown.length)
+      return res.status(400).json({ status: "failed", error: `Unknown operations: ${unknown.join(", ")}` });
+
+    let manualRules = [];
+    try {
+      manualRules = JSON.parse(req.bot.endpointRoles || "[]").filter((r) => !r.operationId);
+    } catch {
+      manualRules = [];
     }
 
-    await botsCollection.updateOne({ botId: req.params.botId }, { $set: updateData });
+    const endpointRoles = JSON.stringify([...manualRules, ...rules]);
+    await getDB()
+      .collection("bots")
+      .updateOne({ botId: req.params.botId }, { $set: { endpointRoles, updatedAt: new Date() } });
+    await invalidateBotCache(req.params.botId, "endpoints changed");
+
+    return res.json({
+      status: "success",
+      botId: req.params.botId,
+      operations: operationsView({ ...req.bot, endpointRoles }),
+    });
+  } catch (err) {
+    console.error("❌ Error updating bot endpoints:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bots/:botId/cache
+ * Answer cache statistics of this instance: the bot's hits, misses, hit rate,
+ * sets, evictions and invalidations, plus the whole cache's backend and size.
+ */
+router.get("/:botId/cache", requireBotRole("viewer"), async (req, res) => {
+  try {
+    const [bot, overall] = await Promise.all([getCacheStats(req.params.botId), getCacheStats()]);
+    return res.json({ status: "success", botId: req.params.botId, cache: { bot, overall } });
+  } catch (err) {
+    console.error("❌ Error reading cache stats:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/bots/:botId/cache
+ * Drop the bot's cached answers.
+ */
+router.delete("/:botId/cache", requireBotRole("editor"), async (req, res) => {
+  try {
+    await invalidateBotCache(req.params.botId, "cleared by admin");
     return res.json({ status: "success", botId: req.params.botId });
   } catch (err) {
-    console.error("❌ Error updating bot:", err);
-    return res.status(500).json({
-      status: "failed",
-      error: err.message || "Internal server error",
+    console.error("❌ Error clearing cache:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/bots/:botId/usage
+ * Chat usage against the bot's limits: requests this minute, messages and
+ * LLM tokens today and this month, a daily history (`days`, default 30, max
+ * 90) and the top users this month. Pass `user` for one user's usage.
+ */
+router.get("/:botId/usage", requireBotRole("viewer"), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+    const usage = await getUsageReport(req.bot, { userSub: req.query.user || undefined, days });
+    return res.json({ status: "success", usage });
+  } catch (err) {
+    console.error("❌ Error reading usage:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+// Upper bound on events in one NDJSON / CSV export
+const AUDIT_EXPORT_MAX_EVENTS = parseInt(process.env.AUDIT_EXPORT_MAX_EVENTS) || 50000;
+
+const AUDIT_CSV_COLUMNS = ["eventId", "at", "type", "botId", "userSub", "conversationId", "outcome", "details"];
+
+/**
+ * Helper: One CSV cell. Cells that a spreadsheet would run as a formula are
+ * prefixed with a quote.
+ */
+function csvCell(value) {
+  let text = value instanceof Date ? value.toISOString() : typeof value === "object" && value !== null ? JSON.stringify(value) : String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Helper: Parses the audit filters from the query string.
+ * @returns {{ filters?: object, error?: string }}
+ */
+function parseAuditFilters(query) {
+  const types = query.type ? String(query.type).split(",").map((t) => t.trim()).filter(Boolean) : [];
+  const unknown = types.find((t) => !AUDIT_EVENT_TYPES.includes(t));
+  if (unknown) return { error: `Invalid type "${unknown}": must be one of ${AUDIT_EVENT_TYPES.join(", ")}` };
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return { error: "from / to must be ISO dates" };
+
+  return { filters: { userSub: query.user || undefined, types, from, to } };
+}
+
+/**
+ * GET /api/bots/:botId/audit
+ * Audit events for a bot, newest first. Filters: user (sub), type
+ * (comma-separated), from / to (ISO dates); page / limit for JSON.
+ * `format=ndjson` or `format=csv` downloads every matching event
+ * (oldest first, up to AUDIT_EXPORT_MAX_EVENTS) instead.
+ */
+router.get("/:botId/audit", requireBotRole("editor"), async (req, res) => {
+  const { filters, error } = parseAuditFilters(req.query);
+  if (error) return res.status(400).json({ status: "failed", error });
+
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "ndjson", "csv"].includes(format))
+    return res.status(400).json({ status: "failed", error: "format must be json, ndjson or csv" });
+
+  try {
+    if (format === "json") {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+      const result = await listAuditEvents(req.params.botId, { ...filters, page, limit });
+      return res.json({ status: "success", ...result });
+    }
+
+    const filename = `audit-${req.params.botId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200).set({
+      "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson",
+      "Content-Disposition": `attachment; filename="${filename}"`,
     });
+    if (format === "csv") res.write(`${AUDIT_CSV_COLUMNS.join(",")}\n`);
+
+    const cursor = findAuditEvents(req.params.botId, filters, { limit: AUDIT_EXPORT_MAX_EVENTS });
+    for await (const event of cursor) {
+      const line =
+        format === "csv"
+          ? AUDIT_CSV_COLUMNS.map((column) => csvCell(event[column])).join(",")
+          : JSON.stringify(event);
+      if (!res.write(`${line}\n`)) await new Promise((resolve) => res.once("drain", resolve));
+    }
+    return res.end();
+  } catch (err) {
+    console.error("❌ Error reading audit log:", err);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
   }
 });
 
+// Rows of each analytics table that can be downloaded as CSV
+const ANALYTICS_CSV_TABLES = {
+  series: {
+    columns: ["period", "messages", "cached", "errors", "unanswered", "actionsExecuted", "actionsFailed", "avgLatencyMs"],
+    rows: (analytics) => analytics.series,
+  },
+  unanswered: {
+    columns: ["question", "count", "lastAskedAt"],
+    rows: (analytics) => analytics.unanswered,
+  },
+  topics: {
+    columns: ["label", "count", "examples"],
+    rows: (analytics) => analytics.topics.map((t) => ({ ...t, examples: t.examples.join(" | ") })),
+  },
+};
+
+/**
+ * GET /api/bots/:botId/analytics
+ * Chat analytics computed from the audit log: message volume over time,
+ * cache hit rate, latency, actions proposed / executed / failed, questions
+ * retrieval found nothing relevant for, and the top topics. Query: from / to
+ * (ISO dates, default the last 30 days), interval (day | hour), top (rows per
+ * list). `format=csv&table=series|unanswered|topics` downloads one table.
+ */
+router.get("/:botId/analytics", requireBotRole("editor"), async (req, res) => {
+  const { options, error } = parseAnalyticsQuery(req.query);
+  if (error) return res.status(400).json({ status: "failed", error });
+
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "csv"].includes(format)) return res.status(400).json({ status: "failed", error: "format must be json or csv" });
+  const table = ANALYTICS_CSV_TABLES[req.query.table || "series"];
+  if (format === "csv" && !table)
+    return res.status(400).json({ status: "failed", error: `table must be one of ${Object.keys(ANALYTICS_CSV_TABLES).join(", ")}` });
+
+  try {
+    const analytics = await getBotAnalytics(req.params.botId, options);
+    if (format === "json") return res.json({ status: "success", analytics });
+
+    const filename = `analytics-${req.params.botId}-${req.query.table || "series"}-${options.from.toISOString().slice(0, 10)}-${options.to.toISOString().slice(0, 10)}.csv`;
+    const lines = [table.columns.join(","), ...table.rows(analytics).map((row) => table.columns.map((c) => csvCell(row[c])).join(","))];
+    return res
+      .status(200)
+      .set({ "Content-Type": "text/csv; charset=utf-8", "Content-Disposition": `attachment; filename="${filename}"` })
+      .send(`${lines.join("\n")}\n`);
+  } catch (err) {
+    console.error("❌ Error computing analytics:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * Runs an evaluation handler, mapping EvaluationError to its status.
+ */
+function withEvaluation(label, handler) {
+  return async (req, res) => {
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      if (err instanceof EvaluationError)
+        return res.status(err.status).json({ status: "failed", error: err.message });
+      console.error(`❌ Error ${label}:`, err);
+      return res.status(500).json({ status: "failed", error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * GET /api/bots/:botId/evals
+ * List the bot's evaluation sets.
+ */
+router.get(
+  "/:botId/evals",
+  requireBotRole("viewer"),
+  withEvaluation("listing evaluation sets", async (req, res) => {
+    const sets = await listEvalSets(req.params.botId);
+    return res.json({ status: "success", sets });
+  })
+);
+
+/**
+ * POST /api/bots/:botId/evals
+ * Create an evaluation set. Body: { name, cases: [{ caseId?, question,
+ * expectedAnswer?, expectedSources?: [filename], expectedActions?: ["POST /orders/{id}/cancel"] }],
+ * user?: { sub, ...role claims } } (the user the questions are asked as).
+ */
+router.post(
+  "/:botId/evals",
+  requireBotRole("editor"),
+  withEvaluation("creating evaluation set", async (req, res) => {
+    const set = await createEvalSet(req.params.botId, req.body || {}, req.admin.sub);
+    return res.status(201).json({ status: "success", set });
+  })
+);
+
+/**
+ * GET /api/bots/:botId/evals/:setId
+ * An evaluation set with its cases and baseline run.
+ */
+router.get(
+  "/:botId/evals/:setId",
+  requireBotRole("viewer"),
+  withEvaluation("reading evaluation set", async (req, res) => {
+    const set = await getEvalSet(req.params.botId, req.params.setId);
+    if (!set) return res.status(404).json({ status: "failed", error: "Evaluation set not found" });
+    return res.json({ status: "success", set });
+  })
+);
+
+/**
+ * PUT /api/bots/:botId/evals/:setId
+ * Update a set's name, cases and/or user.
+ */
+router.put(
+  "/:botId/evals/:setId",
+  requireBotRole("editor"),
+  withEvaluation("updating evaluation set", async (req, res) => {
+    const set = await updateEvalSet(req.params.botId, req.params.setId, req.body || {});
+    return res.json({ status: "success", set });
+  })
+);
+
+/**
+ * DELETE /api/bots/:botId/evals/:setId
+ * Delete a set and its runs.
+ */
+router.delete(
+  "/:botId/evals/:setId",
+  requireBotRole("editor"),
+  withEvaluation("deleting evaluation set", async (req, res) => {
+    const deleted = await deleteEvalSet(req.params.botId, req.params.setId);
+    if (!deleted) return res.status(404).json({ status: "failed", error: "Evaluation set not found" });
+    return res.json({ status: "success", setId: req.params.setId });
+  })
+);
+
+/**
+ * POST /api/bots/:botId/evals/:setId/runs
+ * Queue a run of the set through the chat retrieval and generation path (API
+ * calls are recorded, not made). Poll the run, or the job via /api/jobs/:jobId.
+ */
+router.post(
+  "/:botId/evals/:setId/runs",
+  requireBotRole("editor"),
+  withEvaluation("starting evaluation run", async (req, res) => {
+    const { run, job } = await queueEvaluation(req.bot, req.params.setId, req.admin.sub);
+    return res.status(202).json({ status: "success", runId: run.runId, jobId: job.jobId });
+  })
+);
+
+/**
+ * GET /api/bots/:botId/evals/:setId/runs
+ * The set's latest runs (summaries and baseline comparisons, no per-case results).
+ */
+router.get(
+  "/:botId/evals/:setId/runs",
+  requireBotRole("viewer"),
+  withEvaluation("listing evaluation runs", async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const runs = await listEvalRuns(req.params.botId, req.params.setId, { limit });
+    return res.json({ status: "success", runs });
+  })
+);
+
+/**
+ * GET /api/bots/:botId/evals/:setId/runs/:runId
+ * A run with its per-case results.
+ */
+router.get(
+  "/:botId/evals/:setId/runs/:runId",
+  requireBotRole("viewer"),
+  withEvaluation("reading evaluation run", async (req, res) => {
+    const run = await getEvalRun(req.params.botId, req.params.setId, req.params.runId);
+    if (!run) return res.status(404).json({ status: "failed", error: "Evaluation run not found" });
+    return res.json({ status: "success", run });
+  })
+);
+
+/**
+ * PUT /api/bots/:botId/evals/:setId/baseline
+ * Make a completed run the baseline later runs are compared with. Body: { runId }.
+ */
+router.put(
+  "/:botId/evals/:setId/baseline",
+  requireBotRole("editor"),
+  withEvaluation("setting evaluation baseline", async (req, res) => {
+    if (!req.body?.runId) return res.status(400).json({ status: "failed", error: "Missing required field: runId" });
+    await setEvalBaseline(req.params.botId, req.params.setId, req.body.runId);
+    return res.json({ status: "success", setId: req.params.setId, baselineRunId: req.body.runId });
+  })
+);
+
+/**
+ * Runs a feedback / Q&A override handler, mapping their errors to their status.
+ */
+function withFeedback(label, handler) {
+  return async (req, res) => {
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      if (err instanceof FeedbackError || err instanceof QaOverrideError)
+        return res.status(err.status).json({ status: "failed", error: err.message });
+      console.error(`❌ Error ${label}:`, err);
+      return res.status(500).json({ status: "failed", error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * GET /api/bots/:botId/feedback
+ * Feedback on the bot's answers, newest first, with the prompt, retrieved
+ * chunks and answer each rating refers to. Filters: rating (up | down),
+ * category, status (open | resolved | dismissed); page / limit.
+ */
+router.get(
+  "/:botId/feedback",
+  requireBotRole("editor"),
+  withFeedback("listing feedback", async (req, res) => {
+    const { rating, category, status } = req.query;
+    if (rating && !FEEDBACK_RATINGS.includes(rating))
+      return res.status(400).json({ status: "failed", error: `rating must be one of ${FEEDBACK_RATINGS.join(", ")}` });
+    if (category && !FEEDBACK_CATEGORIES.includes(category))
+      return res.status(400).json({ status: "failed", error: `category must be one of ${FEEDBACK_CATEGORIES.join(", ")}` });
+    if (status && !FEEDBACK_STATUSES.includes(status))
+      return res.status(400).json({ status: "failed", error: `status must be one of ${FEEDBACK_STATUSES.join(", ")}` });
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const result = await listFeedback(req.params.botId, { rating, category, status, page, limit });
+    return res.json({ status: "success", ...result });
+  })
+);
+
+/**
+ * GET /api/bots/:botId/feedback/:feedbackId
+ */
+router.get(
+  "/:botId/feedback/:feedbackId",
+  requireBotRole("editor"),
+  withFeedback("reading feedback", async (req, res) => {
+    const feedback = await getFeedback(req.params.botId, req.params.feedbackId);
+    if (!feedback) return res.status(404).json({ status: "failed", error: "Feedback not found" });
+    return res.json({ status: "success", feedback });
+  })
+);
+
+/**
+ * PUT /api/bots/:botId/feedback/:feedbackId
+ * Mark feedback as reviewed. Body: { status: "open"|"resolved"|"dismissed" }.
+ */
+router.put(
+  "/:botId/feedback/:feedbackId",
+  requireBotRole("editor"),
+  withFeedback("updating feedback", async (req, res) => {
+    const feedback = await setFeedbackStatus(req.params.botId, req.params.feedbackId, req.body?.status, req.admin.sub);
+    return res.json({ status: "success", feedback });
+  })
+);
+
+/**
+ * POST /api/bots/:botId/feedback/:feedbackId/promote
+ * Turn a corrected answer into a Q&A override and resolve the feedback.
+ * Body: { answer, question?, variants? }; the question defaults to the rated prompt.
+ */
+router.post(
+  "/:botId/feedback/:feedbackId/promote",
+  requireBotRole("editor"),
+  withFeedback("promoting feedback", async (req, res) => {
+    const result = await promoteFeedback(req.params.botId, req.params.feedbackId, req.body, req.admin.sub);
+    await invalidateBotCache(req.params.botId, "Q&A override added");
+    return res.status(201).json({ status: "success", ...result });
+  })
+);
+
+/**
+ * GET /api/bots/:botId/overrides
+ * The bot's curated Q&A overrides.
+ */
+router.get(
+  "/:botId/overrides",
+  requireBotRole("viewer"),
+  withFeedback("listing Q&A overrides", async (req, res) => {
+    const overrides = await listQaOverrides(req.params.botId);
+    return res.json({ status: "success", overrides });
+  })
+);
+
+/**
+ * POST /api/bots/:botId/overrides
+ * Add a Q&A override that retrieval puts ahead of the documents when a
+ * question matches. Body: { question, answer, variants?, enabled? }.
+ */
+router.post(
+  "/:botId/overrides",
+  requireBotRole("editor"),
+  withFeedback("creating Q&A override", async (req, res) => {
+    const override = await createQaOverride(req.params.botId, req.body, { createdBy: req.admin.sub });
+    await invalidateBotCache(req.params.botId, "Q&A override added");
+    return res.status(201).json({ status: "success", override });
+  })
+);
+
+/**
+ * GET /api/bots/:botId/overrides/:overrideId
+ */
+router.get(
+  "/:botId/overrides/:overrideId",
+  requireBotRole("viewer"),
+  withFeedback("reading Q&A override", async (req, res) => {
+    const override = await getQaOverride(req.params.botId, req.params.overrideId);
+    if (!override) return res.status(404).json({ status: "failed", error: "Q&A override not found" });
+    return res.json({ status: "success", override });
+  })
+);
+
+/**
+ * PUT /api/bots/:botId/overrides/:overrideId
+ * Update an override. Body: any of { question, answer, variants, enabled }.
+ */
+router.put(
+  "/:botId/overrides/:overrideId",
+  requireBotRole("editor"),
+  withFeedback("updating Q&A override", async (req, res) => {
+    const override = await updateQaOverride(req.params.botId, req.params.overrideId, req.body);
+    await invalidateBotCache(req.params.botId, "Q&A override changed");
+    return res.json({ status: "success", override });
+  })
+);
+
+/**
+ * DELETE /api/bots/:botId/overrides/:overrideId
+ */
+router.delete(
+  "/:botId/overrides/:overrideId",
+  requireBotRole("editor"),
+  withFeedback("deleting Q&A override", async (req, res) => {
+    const deleted = await deleteQaOverride(req.params.botId, req.params.overrideId);
+    if (!deleted) return res.status(404).json({ status: "failed", error: "Q&A override not found" });
+    await invalidateBotCache(req.params.botId, "Q&A override deleted");
+    return res.json({ status: "success", overrideId: req.params.overrideId });
+  })
+);
+
 export default router;
@@ -1,228 +1,230 @@
 import express from "express";
-import fetch from "node-fetch";
-import dotenv from "dotenv";
-import { getDB } from "../config/db.js";
-import { querySimilar } from "../services/vectorStore.js";
-import { getCache, setCache } from "../utils/cache.js";
-import { GoogleGenAI } from "@google/genai";
 import { authz } from "../middleware/authz.js";
-import { OpenFgaClient } from "@openfga/sdk";
-
-dotenv.config();
+import { chatRateLimit } from "../middleware/rateLimit.js";
+import { runChat, confirmAction, rejectAction, ChatError } from "../services/chatPipeline.js";
+import {
+  getConversation,
+  listConversations,
+  deleteConversation,
+} from "../services/conversations.js";
+import { submitFeedback, FeedbackError } from "../services/feedback.js";
 
 const router = express.Router();
-const gemini = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
 
 /**
- * Lazily initialize the FGA client
+ * GET /api/chat/conversations?botId=...
+ * List the current user's conversations with a bot.
  */
-let fga = null;
-function getFgaClient() {
-  const {
-    FGA_API_URL,
-    FGA_STORE_ID,
-    FGA_CLIENT_ID,
-    FGA_CLIENT_SECRET,
-    FGA_API_AUDIENCE,
-  } = process.env;
-
-  if (!FGA_API_URL || !FGA_STORE_ID || !FGA_CLIENT_ID || !FGA_CLIENT_SECRET || !FGA_API_AUDIENCE) {
-    console.warn("⚠️ Skipping FGA init: missing env vars");
-    return null;
+router.get("/conversations", authz(), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    const items = await listConversations(req.bot.botId, req.user?.sub, { limit, skip });
+    return res.json({ status: "success", conversations: items });
+  } catch (err) {
+    console.error("❌ Error listing conversations:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
   }
+});
 
-  if (!fga) {
-    console.log("✅ Initializing OpenFGA client...");
-    fga = new OpenFgaClient({
-      apiUrl: FGA_API_URL,
-      storeId: FGA_STORE_ID,
-      credentials: {
-        method: "client_credentials",
-        clientId: FGA_CLIENT_ID,
-        clientSecret: FGA_CLIENT_SECRET,
-        apiAudience: FGA_API_AUDIENCE,
-      },
-    });
+/**
+ * GET /api/chat/conversations/:id?botId=...
+ * Fetch a single conversation with its messages.
+ */
+router.get("/conversations/:id", authz(), async (req, res) => {
+  try {
+    const conversation = await getConversation(req.bot.botId, req.user?.sub, req.params.id);
+    if (!conversation)
+      return res.status(404).json({ status: "failed", error: "Conversation not found" });
+
+    return res.json({ status: "success", conversation });
+  } catch (err) {
+    console.error("❌ Error fetching conversation:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/chat/conversations/:id?botId=...
+ * Delete a conversation and its history.
+ */
+router.delete("/conversations/:id", authz(), async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.bot.botId, req.user?.sub, req.params.id);
+    if (!deleted)
+      return res.status(404).json({ status: "failed", error: "Conversation not found" });
+
+    return res.json({ status: "success", conversationId: req.params.id });
+  } catch (err) {
+    console.error("❌ Error deleting conversation:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
   }
+});
 
-  return fga;
+/**
+ * Helper: Open a Server-Sent Events stream and return a typed event writer
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  return (type, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 }
 
 /**
- * Helper: Check FGA access for each document
+ * Helper: Run a chat turn and stream its progress as SSE events
+ * (retrieval, token, action_proposed, action_result, action_pending, then
+ * message or error). Token and action events carry the tool-loop `step` they belong to.
+ *
+ * @param {(options: { onEvent: Function, signal: AbortSignal }) => Promise<object>} run
  */
-async function checkFgaAccess(userSub, botId, filename) {
+async function streamTurn(req, res, run) {
+  const { bot } = req;
+
+  // Abort the turn if the client goes away mid-stream
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+
   try {
-    const fgaClient = getFgaClient();
-    if (!fgaClient) {
-      console.warn("⚠️ FGA client unavailable — skipping document-level access control");
-      return true; // Allow all when FGA is not configured
+    const result = await run({ onEvent: send, signal: controller.signal });
+    send("message", result);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log(`🔌 Chat stream closed by client for bot ${bot?.botId}`);
+      return;
     }
-
-    const resp = await fgaClient.check({
-      tuple_key: {
-        user: `user:${userSub}`,
-        relation: "reader",
-        object: `document:${botId}/${filename}`,
-      },
+    console.error("❌ Chat stream error:", err);
+    send("error", {
+      status: "failed",
+      error: err instanceof ChatError ? err.message : "Internal server error",
     });
+  }
 
-    return Boolean(resp?.allowed);
-  } catch (err) {
-    console.error("FGA check failed:", err);
-    return false;
+  res.end();
+}
+
+function streamChat(req, res) {
+  const { message, conversationId } = req.body;
+  const { bot, token, user } = req;
+  return streamTurn(req, res, (options) => runChat({ bot, user, token, message, conversationId }, options));
+}
+
+/**
+ * Helper: Send a pipeline error as JSON with the status it carries.
+ */
+function sendChatError(res, err, label) {
+  if (err instanceof ChatError) {
+    return res.status(err.status).json({ status: "failed", error: err.message });
   }
+  console.error(`❌ ${label}:`, err);
+  return res.status(500).json({ status: "failed", error: "Internal server error" });
 }
 
 /**
- * POST /api/chat
- * Secure chat handler integrating Auth0 (user) and FGA (document-level control)
+ * POST /api/chat/stream
+ * Same as POST /api/chat, but responds with a Server-Sent Events stream.
+ */
+router.post("/stream", authz(), chatRateLimit(), streamChat);
+
+/**
+ * POST /api/chat/actions/:id/confirm
+ * Run an API action that a chat turn returned as `pendingAction`.
+ * Body: { botId, actionToken }. The action runs under the caller's current
+ * token, so the usual authz and endpoint role checks apply again.
+ * Send `Accept: text/event-stream` to stream the follow-up answer.
  */
-router.post("/", authz(), async (req, res) => {
-  const db = getDB();
-  const { message: userMessage } = req.body;
+router.post("/actions/:id/confirm", authz(), chatRateLimit(), async (req, res) => {
   const { bot, token, user } = req;
+  const params = { bot, user, token, actionId: req.params.id, actionToken: req.body?.actionToken };
 
-  try {
-    if (!userMessage) {
-      return res.status(400).json({ status: "failed", error: "Missing required field: message" });
-    }
+  if (req.accepts(["application/json", "text/event-stream"]) === "text/event-stream") {
+    return streamTurn(req, res, (options) => confirmAction(params, options));
+  }
 
-    console.log(`💬🎊 Chat: Received message: "${userMessage}" for bot ${bot?.botId} from user ${user?.sub}`);
+  try {
+    const result = await confirmAction(params);
+    return res.status(200).json(result);
+  } catch (err) {
+    return sendChatError(res, err, "Action confirm error");
+  }
+});
 
-    // Cache lookup
-    const cacheKey = `${bot?.botId}:${userMessage.trim().toLowerCase()}`;
-    const cachedResponse = getCache(cacheKey);
-    if (cachedResponse) {
-      return res.json({ botId: bot.botId, response: cachedResponse, cached: true });
-    }
+/**
+ * POST /api/chat/actions/:id/reject
+ * Discard a pending action. Body: { botId, actionToken }.
+ */
+router.post("/actions/:id/reject", authz(), async (req, res) => {
+  try {
+    const result = await rejectAction({
+      bot: req.bot,
+      user: req.user,
+      actionId: req.params.id,
+      actionToken: req.body?.actionToken,
+    });
+    return res.status(200).json(result);
+  } catch (err) {
+    return sendChatError(res, err, "Action reject error");
+  }
+});
 
-    // RAG vector query
-    const topChunks = await querySimilar(bot?.botId, userMessage, 5);
-
-    // // FGA checks on chunks
-    // const allowedChunks = [];
-    // for (const c of topChunks) {
-    //   const allowed = await checkFgaAccess(user?.sub, bot?.botId, c.metadata?.filename || "unknown");
-    //   if (allowed) allowedChunks.push(c);
-    // }
-
-    // if (!allowedChunks.length) {
-    //   return res.status(403).json({
-    //     status: "failed",
-    //     error: "You are not authorized to access any relevant documents.",
-    //   });
-    // }
-
-    // const contextText = allowedChunks.map((c, i) => `#${i + 1} ${c.text}`).join("\n\n");
-
-    // Endpoint summary
-    const endpoints = JSON.parse(bot?.endpointRoles || "[]");
-    const endpointDescriptions =
-      endpoints?.length > 0
-        ? endpoints.map((r) => `- ${r.endpoint} (${r.method || "ANY"}) — roles: ${r.roles.join(", ")}`).join("\n")
-        : "None provided.";
-
-    // Instruction setup
-    const systemInstruction = `
-You are ${bot.botName}, a ${bot.botPersona}.
-Follow these business rules strictly: ${bot.defaultPrompt}.
-Use the knowledge base and available API list to assist the user.
-Always respond with a valid JSON object.
-`;
-
-    const userPrompt = `
-User message: "${userMessage}"
-
-Company knowledge:
-${topChunks.map((c, i) => `#${i + 1} ${c.text}`).join("\n\n")}
-
-Available internal API endpoints:
-${endpointDescriptions}
-`;
-
-    // LLM response schema
-    const responseSchema = {
-      type: "object",
-      properties: {
-        action: { type: "string", enum: ["none", "call_api"] },
-        endpoint: { type: "string", nullable: true },
-        method: { type: "string", enum: ["GET", "POST", "PUT", "PATCH", "DELETE"], nullable: true },
-        payload: { type: "object", nullable: true, additionalProperties: true },
-        answer: { type: "string" },
-      },
-      required: ["action", "answer"],
-    };
-
-    // Generate LLM response
-    const response = await gemini.models.generateContent({
-      model: "gemini-2.5-flash",
-      systemInstruction,
-      contents: [{ role: "user", parts: [{ text: userPrompt }] }],
-      config: {
-        responseMimeType: "application/json",
-        responseSchema,
-        temperature: 0.3,
-      },
+/**
+ * POST /api/chat/messages/:messageId/feedback
+ * Rate an answer (the `messageId` of a chat response).
+ * Body: { botId, rating: "up"|"down", category?, comment? }. Rating the same
+ * answer again replaces the earlier rating.
+ */
+router.post("/messages/:messageId/feedback", authz(), async (req, res) => {
+  try {
+    const feedback = await submitFeedback({
+      bot: req.bot,
+      user: req.user,
+      messageId: req.params.messageId,
+      body: req.body,
     });
+    return res.status(200).json({ status: "success", feedbackId: feedback.feedbackId, rating: feedback.rating });
+  } catch (err) {
+    if (err instanceof FeedbackError) return res.status(err.status).json({ status: "failed", error: err.message });
+    console.error("❌ Error saving feedback:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
 
-    const rawText = response.response?.text || response.text || "";
-    let aiJson;
-    try {
-      aiJson = JSON.parse(rawText);
-    } catch {
-      return res.status(502).json({ status: "failed", error: "Failed to parse LLM response" });
-    }
+/**
+ * POST /api/chat
+ * Secure chat handler integrating Auth0 (user) and FGA (document-level control)
+ * Pass `conversationId` to continue an earlier session; omit it to start a new one.
+ * The response includes `messageId`, which identifies the answer for feedback
+ * (see /messages/:messageId/feedback), `sources`, the knowledge base passages the answer cites,
+ * `trace`, the API tool calls made while answering, and
+ * `pendingAction` when a call needs the user's confirmation (see /actions/:id/confirm).
+ * Send `Accept: text/event-stream` to receive the streaming variant.
+ * Subject to the bot's rate limits and quotas (429 with Retry-After).
+ */
+router.post("/", authz(), chatRateLimit(), async (req, res) => {
+  if (req.accepts(["application/json", "text/event-stream"]) === "text/event-stream") {
+    return streamChat(req, res);
+  }
 
-    let finalAnswer = aiJson.answer || "";
-
-    // Handle API calls suggested by AI
-    if (aiJson.action === "call_api") {
-      const endpoint = aiJson.endpoint || "";
-      const method = aiJson.method || "GET";
-      const payload = aiJson.payload || {};
-
-      if (!endpoint) {
-        return res.status(400).json({
-          status: "failed",
-          error: "LLM requested action but did not specify endpoint",
-        });
-      }
-
-      try {
-        const proxyResponse = await fetch(`${process.env.BACKEND_URL}/api/proxy`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify({
-            botId: bot.botId,
-            endpoint,
-            method,
-            payload,
-          }),
-        });
-
-        if (!proxyResponse.ok) {
-          const errBody = await proxyResponse.text();
-          finalAnswer += `\n\n⚠️ API error (${proxyResponse.status}): ${errBody}`;
-        } else {
-          const proxyResult = await proxyResponse.json();
-          finalAnswer += `\n\n✅ Action executed result: ${JSON.stringify(proxyResult.data)}`;
-        }
-      } catch (error) {
-        console.error("Proxy call failed:", error);
-        finalAnswer += `\n\n⚠️ The system attempted to call ${endpoint}, but the request failed (${error.message})`;
-      }
-    }
+  const { message, conversationId } = req.body;
+  const { bot, token, user } = req;
 
-    // Cache and return
-    setCache(cacheKey, finalAnswer);
-    return res.status(200).json({ botId: bot.botId, response: finalAnswer, cached: false });
+  try {
+    const result = await runChat({ bot, user, token, message, conversationId });
+    return res.status(200).json(result);
   } catch (err) {
-    console.error("❌ Chat endpoint error:", err);
-    return res.status(500).json({ status: "failed", error: "Internal server error" });
+    return sendChatError(res, err, "Chat endpoint error");
   }
 });
 
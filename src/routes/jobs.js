@@ -0,0 +1,33 @@
+// src/routes/jobs.js
+import express from "express";
+import { getDB } from "../config/db.js";
+import { getJob } from "../services/jobs.js";
+import { requireAdmin, getBotRole } from "../middleware/adminAuth.js";
+import { hasRole } from "../services/workspaces.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:jobId
+ * Report a background job's status, stage, chunk progress and error details.
+ */
+router.get("/:jobId", requireAdmin(), async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job)
+      return res.status(404).json({ status: "failed", error: "Job not found" });
+
+    // Only members of the bot's workspace may see its jobs
+    const bot = job.botId && (await getDB().collection("bots").findOne({ botId: job.botId }));
+    const { role } = bot ? await getBotRole(bot, req.admin.sub) : { role: null };
+    if (!hasRole(role, "viewer"))
+      return res.status(404).json({ status: "failed", error: "Job not found" });
+
+    return res.json({ status: "success", job });
+  } catch (err) {
+    console.error("❌ Error fetching job:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+export default router;
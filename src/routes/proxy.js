@@ -1,8 +1,23 @@
 // src/routes/proxy.js
 import express from "express";
-import fetch from "node-fetch";
 import { authz } from "../middleware/authz.js";
 import { requiresRoleForEndpoint } from "../middleware/roleCheck.js";
+import { resolveProxyTarget, safeFetch, EgressError } from "../utils/egress.js";
+import { recordAuditEvent, redactPayload } from "../services/audit.js";
+
+/**
+ * Helper: Records a proxied call (or a refused one) in the audit log.
+ */
+function auditProxy(req, outcome, details) {
+  const { endpoint, method = "GET", payload } = req.body || {};
+  return recordAuditEvent({
+    type: "proxy.request",
+    botId: req.bot?.botId,
+    userSub: req.user?.sub,
+    outcome,
+    details: { method, endpoint, payload: redactPayload(req.bot, payload), ...details },
+  });
+}
 
 const router = express.Router();
 
@@ -11,6 +26,10 @@ const router = express.Router();
  * Securely forwards requests to the SaaS application's first-party API on behalf of the user.
  * Requires: botId, endpoint, method, (optional) payload.
  * Validates Auth0 access token via middleware.
+ *
+ * The target is pinned to the bot's apiBaseUrl origin and path prefix, and
+ * private / link-local destinations, disallowed methods, slow and oversized
+ * responses are refused (see utils/egress.js) with a 4xx/5xx and an error `code`.
  */
 router.post("/", authz(), requiresRoleForEndpoint(), async (req, res) => {
   try {
@@ -32,29 +51,34 @@ router.post("/", authz(), requiresRoleForEndpoint(), async (req, res) => {
     }
 
     // Construct target URL (first-party API)
-    const targetUrl = `${bot.apiBaseUrl}${endpoint}`;
+    const targetUrl = resolveProxyTarget(bot.apiBaseUrl, endpoint);
     const headers = {
       "Content-Type": "application/json",
       Authorization: `Bearer ${token}`, // user’s Auth0 access token (audience validated)
       "X-Agent-User": user?.sub || "unknown",
     };
 
-    const upstream = await fetch(targetUrl, {
+    const startedAt = Date.now();
+    const upstream = await safeFetch(targetUrl, {
       method,
       headers,
       body: method.toUpperCase() !== "GET" ? JSON.stringify(payload || {}) : undefined,
     });
-
-    const isJson = upstream.headers.get("content-type")?.includes("application/json");
-    const data = isJson ? await upstream.json() : await upstream.text();
+    await auditProxy(req, "executed", { httpStatus: upstream.status, durationMs: Date.now() - startedAt });
 
     return res.json({
       status: "success",
-      data,
+      data: upstream.data,
       httpStatus: upstream.status,
     });
   } catch (err) {
+    if (err instanceof EgressError) {
+      console.warn(`⛔ Proxy: Refused ${req.body?.method || "GET"} ${req.body?.endpoint} for bot ${req.bot?.botId}: ${err.message}`);
+      await auditProxy(req, "blocked", { code: err.code, error: err.message });
+      return res.status(err.status).json({ status: "failed", error: err.message, code: err.code });
+    }
     console.error("❌ Proxy error:", err);
+    await auditProxy(req, "error", { error: err.message });
     return res.status(500).json({ status: "failed", error: "Proxy request failed" });
   }
 });
@@ -1,17 +1,18 @@
 // src/routes/upload.js
 import express from "express";
-import { PDFParse } from "pdf-parse";
-import { upload } from "../middleware/upload.js";
-import { processDocument } from "../services/rag.js";
+import { uploadKnowledgeBase } from "../middleware/upload.js";
+import { requireAdmin, requireBotRole } from "../middleware/adminAuth.js";
+import { queueIngestion } from "../services/ingestion.js";
 import { getDB } from "../config/db.js";
 
 const router = express.Router();
 
 /**
  * POST /api/upload
- * Upload and process a knowledge base PDF for an existing bot.
+ * Upload a knowledge base file for an existing bot and queue it for ingestion.
+ * Requires editor role in the bot's workspace.
  */
-router.post("/", upload.single("knowledgeBase"), async (req, res) => {
+router.post("/", requireAdmin(), uploadKnowledgeBase, requireBotRole("editor"), async (req, res) => {
   const db = getDB();
 
   try {
@@ -37,53 +38,15 @@ router.post("/", upload.single("knowledgeBase"), async (req, res) => {
 
     console.log(`📤 Upload: Received new knowledge base for bot ${botId} (${file.originalname})`);
 
-    // Parse PDF text
-    const parser = new PDFParse({ data: file.buffer });
-    const textResult = await parser.getText();
-    await parser.destroy();
+    // Queue extraction and processing into the vector store
+    const job = await queueIngestion(botId, file);
 
-    const extractedText = textResult.text?.trim() || "";
-    if (!extractedText) {
-      console.error("❌ Upload: No text extracted from file.");
-      return res.status(400).json({
-        status: "failed",
-        error: "Failed to extract text from uploaded PDF",
-      });
-    }
-
-    console.log(`📄 Upload: Extracted ${extractedText.length} characters from ${file.originalname}`);
-
-    // Update status to pending before ingestion
-    await botsCollection.updateOne(
-      { botId },
-      { $set: { embeddingStatus: "pending", updatedAt: new Date() } }
-    );
-
-    // Process document into Pinecone (native embedding)
-    const success = await processDocument(botId, extractedText, file.originalname);
-
-    if (!success) {
-      await botsCollection.updateOne(
-        { botId },
-        { $set: { embeddingStatus: "failed", updatedAt: new Date() } }
-      );
-      console.error(`❌ Upload: Pinecone ingestion failed for bot ${botId}`);
-      return res.status(500).json({
-        status: "failed",
-        error: "Document processing failed",
-      });
-    }
-
-    await botsCollection.updateOne(
-      { botId },
-      { $set: { embeddingStatus: "complete", updatedAt: new Date() } }
-    );
-
-    console.log(`✅ Upload: Knowledge base updated successfully for bot ${botId}`);
-    return res.json({
+    console.log(`✅ Upload: Knowledge base queued for bot ${botId} (job ${job.jobId})`);
+    return res.status(202).json({
       status: "success",
       botId,
-      message: "Knowledge base uploaded and processed successfully.",
+      jobId: job.jobId,
+      message: "Knowledge base uploaded and queued for processing.",
     });
   } catch (err) {
     console.error("❌ Error in /api/upload:", err);
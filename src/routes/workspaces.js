@@ -0,0 +1,99 @@
+// src/routes/workspaces.js
+import express from "express";
+import { requireAdmin, requireWorkspaceRole } from "../middleware/adminAuth.js";
+import {
+  WORKSPACE_ROLES,
+  createWorkspace,
+  listWorkspacesForUser,
+  setMemberRole,
+  removeMember,
+  ownersExcluding,
+} from "../services/workspaces.js";
+
+const router = express.Router();
+
+router.use(requireAdmin());
+
+/**
+ * POST /api/workspaces
+ * Create a workspace; the caller becomes its owner.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    if (!name) return res.status(400).json({ status: "failed", error: "Missing required field: name" });
+
+    const workspace = await createWorkspace(name, req.admin.sub);
+    console.log(`🏢 Workspace ${workspace.workspaceId} created by ${req.admin.sub}`);
+    return res.status(201).json({ status: "success", workspace });
+  } catch (err) {
+    console.error("❌ Error creating workspace:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/workspaces
+ * List the caller's workspaces.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const workspaces = await listWorkspacesForUser(req.admin.sub);
+    return res.json({ status: "success", workspaces });
+  } catch (err) {
+    console.error("❌ Error listing workspaces:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId
+ * Workspace details and members (any member).
+ */
+router.get("/:workspaceId", requireWorkspaceRole("viewer"), (req, res) => {
+  return res.json({ status: "success", workspace: req.workspace, role: req.memberRole });
+});
+
+/**
+ * PUT /api/workspaces/:workspaceId/members/:sub
+ * Add a member or change their role (owner only). Body: { role }.
+ */
+router.put("/:workspaceId/members/:sub", requireWorkspaceRole("owner"), async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ status: "failed", error: `role must be one of ${WORKSPACE_ROLES.join(", ")}` });
+    }
+    if (role !== "owner" && ownersExcluding(req.workspace, req.params.sub) === 0) {
+      return res.status(409).json({ status: "failed", error: "A workspace must keep at least one owner" });
+    }
+
+    await setMemberRole(req.workspace.workspaceId, req.params.sub, role);
+    return res.json({ status: "success", workspaceId: req.workspace.workspaceId, sub: req.params.sub, role });
+  } catch (err) {
+    console.error("❌ Error updating workspace member:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/members/:sub
+ * Remove a member (owner only).
+ */
+router.delete("/:workspaceId/members/:sub", requireWorkspaceRole("owner"), async (req, res) => {
+  try {
+    if (ownersExcluding(req.workspace, req.params.sub) === 0) {
+      return res.status(409).json({ status: "failed", error: "A workspace must keep at least one owner" });
+    }
+
+    const removed = await removeMember(req.workspace.workspaceId, req.params.sub);
+    if (!removed) return res.status(404).json({ status: "failed", error: "Member not found" });
+
+    return res.json({ status: "success", workspaceId: req.workspace.workspaceId, sub: req.params.sub });
+  } catch (err) {
+    console.error("❌ Error removing workspace member:", err);
+    return res.status(500).json({ status: "failed", error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,68 @@
+// src/scripts/evaluate.js
+// Runs a bot's evaluation set from the command line:
+//   npm run eval -- <botId> <setId> [--baseline] [--fail-on-regression] [--json]
+//
+//   --baseline            make this run the set's baseline when it finishes
+//   --fail-on-regression  exit with status 1 when a case regressed against the baseline
+//   --json                print the whole run as JSON instead of a report
+import dotenv from "dotenv";
+import { connectDB, getDB } from "../config/db.js";
+import { runEvaluation, setEvalBaseline } from "../services/evaluation.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter((a) => a.startsWith("--")));
+const [botId, setId] = args.filter((a) => !a.startsWith("--"));
+
+const percent = (value) => (value === null ? "n/a" : `${(value * 100).toFixed(1)}%`);
+const signed = (value) => (value === null ? "n/a" : `${value >= 0 ? "+" : ""}${(value * 100).toFixed(1)} pts`);
+
+function printReport(run) {
+  const { summary, comparison } = run;
+  console.log(`\nRun ${run.runId} — ${summary.cases} cases, ${summary.errors} errors`);
+  console.log(`  retrieval hit rate   ${percent(summary.retrievalHitRate)}`);
+  console.log(`  action accuracy      ${percent(summary.actionAccuracy)}`);
+  console.log(`  answer similarity    ${percent(summary.answerSimilarity)}`);
+  console.log(`  tokens               ${summary.inputTokens} in / ${summary.outputTokens} out`);
+
+  for (const r of run.results.filter((r) => r.error)) console.log(`  ✗ ${r.caseId}: ${r.error}`);
+
+  if (!comparison) {
+    console.log("\nNo baseline to compare with (use --baseline to set this run as one).");
+    return;
+  }
+  console.log(`\nAgainst baseline ${comparison.baselineRunId}:`);
+  for (const [metric, delta] of Object.entries(comparison.deltas)) console.log(`  ${metric.padEnd(20)} ${signed(delta)}`);
+  for (const r of comparison.regressions) console.log(`  ▼ ${r.caseId} (${r.metrics.join(", ")})`);
+  for (const r of comparison.improvements) console.log(`  ▲ ${r.caseId} (${r.metrics.join(", ")})`);
+}
+
+async function main() {
+  if (!botId || !setId) {
+    console.error("Usage: npm run eval -- <botId> <setId> [--baseline] [--fail-on-regression] [--json]");
+    return 2;
+  }
+
+  await connectDB();
+  const bot = await getDB().collection("bots").findOne({ botId });
+  if (!bot) {
+    console.error(`❌ Bot ${botId} not found`);
+    return 2;
+  }
+
+  const run = await runEvaluation(bot, setId, { startedBy: "cli" });
+  if (flags.has("--baseline")) await setEvalBaseline(botId, setId, run.runId);
+
+  if (flags.has("--json")) console.log(JSON.stringify(run, null, 2));
+  else printReport(run);
+
+  return flags.has("--fail-on-regression") && run.comparison?.regressions.length ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error("❌ Evaluation failed:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,260 @@
+// src/services/analytics.js
+import { findAuditEvents } from "./audit.js";
+import { tokenizeForSearch } from "./lexicalIndex.js";
+
+// Upper bound on audit events scanned for one report
+const ANALYTICS_MAX_EVENTS = parseInt(process.env.ANALYTICS_MAX_EVENTS) || 100000;
+// Hourly buckets are only offered for ranges up to this many days
+const HOURLY_MAX_DAYS = 31;
+// Two questions join the same topic when their terms overlap at least this much (Jaccard)
+const TOPIC_SIMILARITY = 0.4;
+// Distinct questions considered for topic clustering (the most frequent ones)
+const TOPIC_MAX_QUESTIONS = 2000;
+
+export const ANALYTICS_INTERVALS = ["day", "hour"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the report options from a query string: `from` / `to` (ISO dates,
+ * default the last 30 days), `interval` (day | hour) and `top` (1–100 rows
+ * for the question and topic lists).
+ * @returns {{ options?: object, error?: string }}
+ */
+export function parseAnalyticsQuery(query, now = new Date()) {
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (isNaN(from) || isNaN(to)) return { error: "from / to must be ISO dates" };
+  if (from > to) return { error: "from must be before to" };
+  if (to - from > 366 * DAY_MS) return { error: "The range can span at most 366 days" };
+
+  const interval = query.interval || "day";
+  if (!ANALYTICS_INTERVALS.includes(interval)) return { error: `interval must be one of ${ANALYTICS_INTERVALS.join(", ")}` };
+  if (interval === "hour" && to - from > HOURLY_MAX_DAYS * DAY_MS)
+    return { error: `Hourly buckets need a range of at most ${HOURLY_MAX_DAYS} days` };
+
+  const top = Math.min(Math.max(parseInt(query.top) || 20, 1), 100);
+  return { options: { from, to, interval, top } };
+}
+
+/**
+ * Bucket key of a date: "2025-03-14" (day) or "2025-03-14T09:00" (hour), UTC.
+ */
+function bucketOf(date, interval) {
+  const iso = new Date(date).toISOString();
+  return interval === "hour" ? `${iso.slice(0, 13)}:00` : iso.slice(0, 10);
+}
+
+/**
+ * Every bucket key in the range, so the series has no gaps.
+ */
+function bucketRange(from, to, interval) {
+  const step = interval === "hour" ? 60 * 60 * 1000 : DAY_MS;
+  const start = new Date(from);
+  if (interval === "hour") start.setUTCMinutes(0, 0, 0);
+  else start.setUTCHours(0, 0, 0, 0);
+
+  const keys = [];
+  for (let t = start.getTime(); t <= to.getTime(); t += step) keys.push(bucketOf(t, interval));
+  return keys;
+}
+
+const emptyBucket = (period) => ({
+  period,
+  messages: 0,
+  cached: 0,
+  errors: 0,
+  unanswered: 0,
+  actionsExecuted: 0,
+  actionsFailed: 0,
+  latencyTotalMs: 0,
+  latencyCount: 0,
+});
+
+function normalizeQuestion(text) {
+  return String(text || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const ratio = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : null);
+
+/**
+ * Groups questions into topics: each question (most frequent first) joins the
+ * first topic whose terms it overlaps by TOPIC_SIMILARITY, else starts a new
+ * one. A topic is labelled with its most common terms.
+ *
+ * @param {Map<string, { question: string, count: number }>} questions
+ * @returns {Array<{ label: string, terms: string[], count: number, examples: string[] }>}
+ */
+function clusterTopics(questions, top) {
+  const topics = [];
+  const ranked = [...questions.values()].sort((a, b) => b.count - a.count).slice(0, TOPIC_MAX_QUESTIONS);
+
+  for (const q of ranked) {
+    const terms = new Set(tokenizeForSearch(q.question));
+    if (!terms.size) continue;
+
+    const topic = topics.find((t) => {
+      let shared = 0;
+      for (const term of terms) if (t.seed.has(term)) shared++;
+      return shared / (terms.size + t.seed.size - shared) >= TOPIC_SIMILARITY;
+    });
+    const target = topic || { seed: terms, termCounts: new Map(), count: 0, examples: [] };
+    if (!topic) topics.push(target);
+
+    target.count += q.count;
+    terms.forEach((term) => target.termCounts.set(term, (target.termCounts.get(term) || 0) + q.count));
+    if (target.examples.length < 3) target.examples.push(q.question);
+  }
+
+  return topics
+    .sort((a, b) => b.count - a.count)
+    .slice(0, top)
+    .map((t) => {
+      const terms = [...t.termCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([term]) => term);
+      return { label: terms.join(" "), terms, count: t.count, examples: t.examples };
+    });
+}
+
+/**
+ * getBotAnalytics
+ * Aggregates a bot's chat activity from its audit events (see auditTurn in
+ * chatPipeline.js) over a date range:
+ *   - totals: messages, conversations, users, cache hit rate, latency, errors
+ *   - series: the same per day or hour
+ *   - actions: proposed vs. executed vs. failed, awaiting / confirmed / rejected
+ *   - unanswered: the most asked questions for which retrieval found nothing
+ *     relevant
+ *   - topics: the most asked questions clustered by shared terms
+ * Turns recorded before latency and relevance were audited count as
+ * messages but not towards those two figures.
+ *
+ * @param {string} botId
+ * @param {{ from: Date, to: Date, interval: "day"|"hour", top: number }} options - see parseAnalyticsQuery()
+ * @returns {Promise<object>}
+ */
+export async function getBotAnalytics(botId, { from, to, interval = "day", top = 20 }) {
+  const series = new Map(bucketRange(from, to, interval).map((key) => [key, emptyBucket(key)]));
+  const conversations = new Set();
+  const users = new Set();
+  const latencies = [];
+  const questions = new Map();
+  const unanswered = new Map();
+  const actions = { proposed: 0, executed: 0, failed: 0, awaitingConfirmation: 0, confirmed: 0, rejected: 0 };
+  const totals = { messages: 0, cached: 0, errors: 0, unanswered: 0, relevanceKnown: 0 };
+  let scanned = 0;
+
+  const cursor = findAuditEvents(
+    botId,
+    { types: ["chat.turn", "action.confirmed", "action.rejected"], from, to },
+    { limit: ANALYTICS_MAX_EVENTS }
+  );
+
+  for await (const event of cursor) {
+    scanned++;
+    const key = bucketOf(event.at, interval);
+    const bucket = series.get(key) || series.set(key, emptyBucket(key)).get(key);
+    const details = event.details || {};
+
+    if (event.type === "action.rejected") {
+      actions.rejected++;
+      continue;
+    }
+    if (event.type === "action.confirmed") {
+      actions.confirmed++;
+      if (event.outcome === "executed") {
+        actions.executed++;
+        bucket.actionsExecuted++;
+      } else {
+        actions.failed++;
+        bucket.actionsFailed++;
+      }
+      continue;
+    }
+
+    // chat.turn: the API calls it proposed
+    for (const action of details.actions || []) {
+      actions.proposed++;
+      if (action.outcome === "executed") {
+        actions.executed++;
+        bucket.actionsExecuted++;
+      } else if (action.outcome === "pending_confirmation") {
+        actions.awaitingConfirmation++;
+      } else {
+        actions.failed++;
+        bucket.actionsFailed++;
+      }
+    }
+    // The reply after a confirmation is not a new user message
+    if (details.followUp) continue;
+
+    totals.messages++;
+    bucket.messages++;
+    if (event.conversationId) conversations.add(event.conversationId);
+    if (event.userSub) users.add(event.userSub);
+    if (details.cached) {
+      totals.cached++;
+      bucket.cached++;
+    }
+    if (event.outcome === "error") {
+      totals.errors++;
+      bucket.errors++;
+    }
+    if (typeof details.durationMs === "number" && !details.cached) {
+      latencies.push(details.durationMs);
+      bucket.latencyTotalMs += details.durationMs;
+      bucket.latencyCount++;
+    }
+
+    const normalized = normalizeQuestion(details.prompt);
+    if (!normalized) continue;
+    const entry = questions.get(normalized) || { question: String(details.prompt).trim(), count: 0 };
+    entry.count++;
+    questions.set(normalized, entry);
+
+    if (typeof details.relevant === "boolean") totals.relevanceKnown++;
+    if (details.relevant === false) {
+      totals.unanswered++;
+      bucket.unanswered++;
+      const miss = unanswered.get(normalized) || { question: entry.question, count: 0, lastAskedAt: null };
+      miss.count++;
+      miss.lastAskedAt = event.at;
+      unanswered.set(normalized, miss);
+    }
+  }
+
+  latencies.sort((a, b) => a - b);
+
+  return {
+    botId,
+    from,
+    to,
+    interval,
+    truncated: scanned >= ANALYTICS_MAX_EVENTS,
+    totals: {
+      messages: totals.messages,
+      conversations: conversations.size,
+      users: users.size,
+      cacheHitRate: ratio(totals.cached, totals.messages),
+      errors: totals.errors,
+      unanswered: totals.unanswered,
+      unansweredRate: ratio(totals.unanswered, totals.relevanceKnown),
+      avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      p95LatencyMs: percentile(latencies, 95),
+      latencySamples: latencies.length,
+    },
+    actions,
+    series: [...series.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(({ latencyTotalMs, latencyCount, ...bucket }) => ({
+        ...bucket,
+        avgLatencyMs: latencyCount ? Math.round(latencyTotalMs / latencyCount) : null,
+      })),
+    unanswered: [...unanswered.values()].sort((a, b) => b.count - a.count).slice(0, top),
+    topics: clusterTopics(questions, top),
+  };
+}
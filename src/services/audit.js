@@ -0,0 +1,147 @@
+// src/services/audit.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+
+// Payload keys that are always masked (matched case-insensitively, anywhere in the key)
+const DEFAULT_REDACT_KEYS = ["password", "secret", "token", "authorization", "apikey", "api_key", "card", "cvv", "ssn"];
+const EXTRA_REDACT_KEYS = (process.env.AUDIT_REDACT_KEYS || "")
+  .split(",")
+  .map((k) => k.trim().toLowerCase())
+  .filter(Boolean);
+
+export const AUDIT_EVENT_TYPES = [
+  "chat.turn",
+  "action.confirmed",
+  "action.rejected",
+  "proxy.request",
+  "proxy.denied",
+];
+
+/**
+ * Audit events are append-only: this module only inserts and reads them,
+ * and they are kept when a bot is deleted.
+ */
+function auditEvents() {
+  return getDB().collection("audit_events");
+}
+
+/**
+ * Masks a payload for the audit log according to the bot's `auditPayloads`
+ * setting: "redacted" (default) masks sensitive keys (built-in list,
+ * AUDIT_REDACT_KEYS and the bot's `auditRedactKeys`), "none" drops the payload
+ * and "full" keeps it as sent.
+ */
+export function redactPayload(bot, payload) {
+  if (payload === undefined || payload === null) return payload;
+
+  const mode = bot?.auditPayloads || "redacted";
+  if (mode === "none") return "[omitted]";
+  if (mode === "full") return payload;
+
+  const botKeys = [].concat(bot?.auditRedactKeys || []).flatMap((k) => String(k).split(","));
+  const keys = [...DEFAULT_REDACT_KEYS, ...EXTRA_REDACT_KEYS, ...botKeys.map((k) => k.trim().toLowerCase()).filter(Boolean)];
+
+  const mask = (value) => {
+    if (Array.isArray(value)) return value.map(mask);
+    if (!value || typeof value !== "object") return value;
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) =>
+        keys.some((k) => key.toLowerCase().includes(k)) ? [key, "[REDACTED]"] : [key, mask(inner)]
+      )
+    );
+  };
+  return mask(payload);
+}
+
+/**
+ * Summarises a tool-loop trace for the audit log (payloads redacted, response bodies dropped).
+ */
+export function auditActions(bot, trace = []) {
+  return trace.map((step) => ({
+    step: step.step,
+    tool: step.tool,
+    method: step.method,
+    endpoint: step.endpoint,
+    payload: redactPayload(bot, step.payload),
+    ...(step.policy && { policy: step.policy }),
+    outcome: step.pending ? "pending_confirmation" : step.ok ? "executed" : "failed",
+    ...(step.httpStatus !== undefined && { httpStatus: step.httpStatus }),
+    ...(step.error && { error: String(step.error).slice(0, 500) }),
+    ...(step.actionId && { actionId: step.actionId }),
+  }));
+}
+
+/**
+ * Appends an event to the audit log. Failures are logged, never thrown, so
+ * auditing can't break the request it describes.
+ *
+ * @param {object} event
+ * @param {string} event.type - one of AUDIT_EVENT_TYPES
+ * @param {string} event.botId
+ * @param {string} [event.userSub]
+ * @param {string} [event.outcome] - e.g. answered, pending_confirmation, executed, denied, error
+ * @param {object} [event.details] - type-specific fields
+ */
+export async function recordAuditEvent({ type, botId, userSub, conversationId, outcome, details = {} }) {
+  try {
+    await auditEvents().insertOne({
+      eventId: `evt-${crypto.randomUUID()}`,
+      type,
+      botId,
+      userSub: userSub ?? null,
+      ...(conversationId && { conversationId }),
+      outcome: outcome || null,
+      details,
+      at: new Date(),
+    });
+  } catch (err) {
+    console.error(`❌ Audit: Failed to record ${type} for bot ${botId}:`, err.message);
+  }
+}
+
+function buildQuery(botId, { userSub, types, from, to } = {}) {
+  const query = { botId };
+  if (userSub) query.userSub = userSub;
+  if (types?.length) query.type = { $in: types };
+  if (from || to) {
+    query.at = {};
+    if (from) query.at.$gte = from;
+    if (to) query.at.$lte = to;
+  }
+  return query;
+}
+
+/**
+ * Lists a bot's audit events, newest first.
+ *
+ * @param {string} botId
+ * @param {object} [options]
+ * @param {string} [options.userSub]
+ * @param {string[]} [options.types]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{ events: object[], page: number, limit: number, total: number }>}
+ */
+export async function listAuditEvents(botId, { page = 1, limit = 50, ...filters } = {}) {
+  const query = buildQuery(botId, filters);
+  const [events, total] = await Promise.all([
+    auditEvents()
+      .find(query, { projection: { _id: 0 } })
+      .sort({ at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    auditEvents().countDocuments(query),
+  ]);
+  return { events, page, limit, total };
+}
+
+/**
+ * Cursor over a bot's audit events in chronological order, for exports.
+ */
+export function findAuditEvents(botId, filters = {}, { limit } = {}) {
+  const cursor = auditEvents().find(buildQuery(botId, filters), { projection: { _id: 0 } }).sort({ at: 1 });
+  return limit ? cursor.limit(limit) : cursor;
+}
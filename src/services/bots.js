@@ -0,0 +1,143 @@
+// src/services/bots.js
+import { getDB } from "../config/db.js";
+import { deleteNamespace } from "./vectorStore.js";
+import { deleteBotDocuments } from "./documents.js";
+import { deleteBotConversations } from "./conversations.js";
+import { cancelBotJobs } from "./jobs.js";
+import { deleteBotPendingActions } from "./pendingActions.js";
+import { deleteBotUsage } from "./usage.js";
+import { deleteBotEvaluations } from "./evaluation.js";
+import { deleteBotFeedback } from "./feedback.js";
+import { deleteBotQaOverrides } from "./qaOverrides.js";
+import { invalidateBotCache } from "../utils/cache.js";
+
+// Fields returned by the bot listing
+const LIST_PROJECTION = {
+  _id: 0,
+  botId: 1,
+  workspaceId: 1,
+  botName: 1,
+  businessName: 1,
+  embeddingStatus: 1,
+  disabled: 1,
+  deleting: 1,
+  createdAt: 1,
+  updatedAt: 1,
+};
+
+// Fields hidden from workspace viewers (auth settings and the upstream API)
+const SENSITIVE_BOT_FIELDS = [
+  "apiBaseUrl",
+  "authDomain",
+  "authIssuer",
+  "authJwksUri",
+  "authAudience",
+  "authClientId",
+  "authAlgorithms",
+  "authClockTolerance",
+  "rolesNamespace",
+  "roleClaims",
+];
+
+/**
+ * Shapes a bot document for a management response. Viewers don't get auth
+ * settings or the upstream API URL.
+ */
+export function toBotView(bot, role) {
+  const { _id, ...view } = bot;
+  if (role === "viewer") SENSITIVE_BOT_FIELDS.forEach((field) => delete view[field]);
+  return view;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Lists bots with pagination and optional filters.
+ *
+ * @param {object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {"active"|"disabled"} [options.status]
+ * @param {string} [options.embeddingStatus] - pending | complete | failed
+ * @param {string} [options.q] - case-insensitive match on botName / businessName
+ * @param {object} [options.filter] - extra MongoDB filter (e.g. workspace scoping)
+ * @returns {Promise<{ bots: object[], page: number, limit: number, total: number }>}
+ */
+export async function listBots({ page = 1, limit = 20, status, embeddingStatus, q, filter = {} } = {}) {
+  const query = { ...filter };
+  if (status === "disabled") query.disabled = true;
+  if (status === "active") query.disabled = { $ne: true };
+  if (embeddingStatus) query.embeddingStatus = embeddingStatus;
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    query.$or = [{ botName: pattern }, { businessName: pattern }];
+  }
+
+  const botsCollection = getDB().collection("bots");
+  const [bots, total] = await Promise.all([
+    botsCollection
+      .find(query, { projection: LIST_PROJECTION })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    botsCollection.countDocuments(query),
+  ]);
+
+  return { bots, page, limit, total };
+}
+
+/**
+ * Enables or disables a bot. Disabled bots keep their data but authz()
+ * refuses chat and proxy traffic for them. Returns false if the bot does not exist.
+ */
+export async function setBotDisabled(botId, disabled) {
+  const result = await getDB()
+    .collection("bots")
+    .updateOne(
+      { botId },
+      { $set: { disabled, disabledAt: disabled ? new Date() : null, updatedAt: new Date() } }
+    );
+
+  await invalidateBotCache(botId, disabled ? "disabled" : "enabled");
+  return result.matchedCount > 0;
+}
+
+/**
+ * Permanently deletes a bot and everything stored for it: vector namespace,
+ * document records, conversations, pending actions, usage counters, queued jobs
+ * and cached answers.
+ *
+ * The bot is disabled and marked `deleting` first so no new traffic or jobs
+ * start against it, and its record is removed only once all cleanup steps
+ * succeeded. The steps are idempotent: if one fails, deleting again resumes.
+ * Returns false if the bot does not exist.
+ */
+export async function deleteBot(botId) {
+  const db = getDB();
+  const result = await db
+    .collection("bots")
+    .updateOne({ botId }, { $set: { disabled: true, deleting: true, deletingAt: new Date(), updatedAt: new Date() } });
+  if (!result.matchedCount) return false;
+  await invalidateBotCache(botId, "deleting");
+
+  const cancelledJobs = await cancelBotJobs(botId);
+  await deleteNamespace(botId);
+  const documents = await deleteBotDocuments(botId);
+  const conversations = await deleteBotConversations(botId);
+  await deleteBotPendingActions(botId);
+  await deleteBotUsage(botId);
+  await deleteBotEvaluations(botId);
+  await deleteBotFeedback(botId);
+  await deleteBotQaOverrides(botId);
+
+  await db.collection("bots").deleteOne({ botId });
+  await invalidateBotCache(botId, "deleted");
+
+  console.log(
+    `🗑️ Bots: Deleted bot ${botId} (${documents} documents, ${conversations} conversations, ${cancelledJobs} queued jobs)`
+  );
+  return true;
+}
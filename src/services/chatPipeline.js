@@ -0,0 +1,807 @@
+// src/services/chatPipeline.js
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import { retrieveChunks } from "./retrieval.js";
+import { getLLMForBot } from "./llm/index.js";
+import { getToolsForUser, describeTools, findTool, resolveToolCall } from "./tools.js";
+import { getCache, setCache, responseCacheKey } from "../utils/cache.js";
+import { readPartialStringField } from "../utils/streamingJson.js";
+import { formatKnowledge, resolveCitations } from "../utils/citations.js";
+import {
+  getConversation,
+  createConversation,
+  deleteConversation,
+  appendMessages,
+  buildHistoryMessages,
+  compactConversation,
+} from "./conversations.js";
+import {
+  createPendingAction,
+  getPendingAction,
+  decidePendingAction,
+  completePendingAction,
+} from "./pendingActions.js";
+import { recordAuditEvent, auditActions, redactPayload } from "./audit.js";
+import { recordTokenUsage } from "./usage.js";
+
+dotenv.config();
+
+/**
+ * Error raised by the chat pipeline with the HTTP status the route should return.
+ */
+export class ChatError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ChatError";
+    this.status = status;
+  }
+}
+
+/**
+ * Helper: Returns a summarizer that folds older conversation turns into a
+ * short running summary using the bot's LLM.
+ */
+function historySummarizer(bot) {
+  const { provider, model } = getLLMForBot(bot);
+
+  return async (previousSummary, transcript) => {
+    const { text, usage } = await provider.generate({
+      model,
+      messages: [
+        {
+          role: "user",
+          content: `Update the summary of a support conversation. Keep names, IDs, decisions and any API actions taken. Reply with the summary only.
+
+Current summary:
+${previousSummary || "(none)"}
+
+New turns:
+${transcript}`,
+        },
+      ],
+      temperature: 0.2,
+    });
+
+    // Background work: counted against the bot's budget, not the user's
+    await recordTokenUsage(bot.botId, null, usage);
+    return text.trim();
+  };
+}
+
+// Upper bound on API calls per chat turn (a bot can override it with maxToolSteps)
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS) || 5;
+// Tool results are truncated to this many characters before going back to the model
+const TOOL_RESULT_MAX_CHARS = parseInt(process.env.TOOL_RESULT_MAX_CHARS) || 4000;
+
+// LLM response schema
+const responseSchema = {
+  type: "object",
+  properties: {
+    action: { type: "string", enum: ["none", "call_api"] },
+    tool: { type: "string", nullable: true },
+    payload: { type: "object", nullable: true, additionalProperties: true },
+    answer: { type: "string" },
+    citations: { type: "array", items: { type: "integer" }, nullable: true },
+  },
+  required: ["action", "answer"],
+};
+
+/**
+ * Helper: Adds an LLM call's token usage to a running total.
+ */
+function addUsage(total, usage) {
+  if (!total || !usage) return;
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+}
+
+/**
+ * Calls the bot's LLM for the structured chat reply. When `onToken` is given the
+ * reply is streamed and the `answer` field is forwarded as it arrives.
+ * Token usage is added to `usage` when given.
+ */
+async function generateReply({ bot, system, messages, onToken, signal, usage }) {
+  const { provider, model } = getLLMForBot(bot);
+  const request = { model, system, messages, schema: responseSchema, temperature: 0.3, signal };
+
+  if (!onToken) {
+    const result = await provider.generate(request);
+    addUsage(usage, result.usage);
+    return result.text;
+  }
+
+  let rawText = "";
+  let sent = 0;
+
+  for await (const chunk of provider.stream(request)) {
+    addUsage(usage, chunk.usage);
+    if (signal?.aborted) break;
+    if (!chunk.text) continue;
+    rawText += chunk.text;
+
+    const answerSoFar = readPartialStringField(rawText, "answer");
+    if (answerSoFar && answerSoFar.length > sent) {
+      onToken(answerSoFar.slice(sent));
+      sent = answerSoFar.length;
+    }
+  }
+
+  return rawText;
+}
+
+/**
+ * Executes an API action suggested by the model through /api/proxy.
+ * @returns {Promise<{ ok: boolean, httpStatus?: number, data?: any, error?: string }>}
+ */
+async function executeAction({ bot, token, endpoint, method, payload, signal }) {
+  try {
+    const proxyResponse = await fetch(`${process.env.BACKEND_URL}/api/proxy`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        botId: bot.botId,
+        endpoint,
+        method,
+        payload,
+      }),
+      signal,
+    });
+
+    if (!proxyResponse.ok) {
+      const errBody = await proxyResponse.text();
+      return { ok: false, httpStatus: proxyResponse.status, error: errBody };
+    }
+
+    // The proxy answers 200 and reports the upstream status separately
+    const proxyResult = await proxyResponse.json();
+    const httpStatus = proxyResult.httpStatus ?? proxyResponse.status;
+    return { ok: httpStatus < 400, httpStatus, data: proxyResult.data };
+  } catch (error) {
+    console.error("Proxy call failed:", error);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Helper: Renders a tool result as the next model message, truncated to
+ * TOOL_RESULT_MAX_CHARS so large API responses don't blow the context.
+ */
+function toolResultMessage(step) {
+  if (step.dryRun) {
+    return `Tool ${step.tool} (${step.method} ${step.endpoint}) was recorded but not run (evaluation run).
+
+Call another tool if the task needs more actions, otherwise reply with action "none" and the final answer for the user, as if the call had been submitted.`;
+  }
+
+  const outcome = step.ok
+    ? `succeeded with status ${step.httpStatus}`
+    : `failed${step.httpStatus !== undefined ? ` with status ${step.httpStatus}` : ""}`;
+
+  let body = step.ok ? JSON.stringify(step.result ?? null) : String(step.error ?? "");
+  if (body.length > TOOL_RESULT_MAX_CHARS) {
+    body = `${body.slice(0, TOOL_RESULT_MAX_CHARS)}… (truncated)`;
+  }
+
+  return `Tool ${step.tool} (${step.method} ${step.endpoint}) ${outcome}:
+${body}
+
+Call another tool if more data or actions are needed, otherwise reply with action "none" and the final answer for the user. Do not show raw JSON to the user.`;
+}
+
+/**
+ * Helper: Readable one-line description of an API call for the confirmation
+ * prompt, e.g. `Cancel a subscription — POST /subscriptions/42/cancel (reason: "moving")`.
+ */
+function summarizeAction(tool, call) {
+  const fields = Object.entries(call.payload)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join(", ");
+  const summary = `${tool.description || tool.name} — ${tool.method} ${call.endpoint}${fields ? ` (${fields})` : ""}`;
+  return summary.length > 300 ? `${summary.slice(0, 300)}…` : summary;
+}
+
+/**
+ * Helper: The user turn sent to the model: the message, the retrieved
+ * knowledge and the tools the user may call.
+ */
+function buildUserPrompt(bot, user, userMessage, chunks) {
+  return `
+User message: "${userMessage}"
+
+Company knowledge:
+${formatKnowledge(chunks)}
+
+Available API tools:
+${describeTools(getToolsForUser(bot, user))}
+`;
+}
+
+/**
+ * Helper: System instruction for the agentic loop.
+ */
+function buildSystemPrompt(bot, maxSteps) {
+  return `
+You are ${bot.botName}, a ${bot.botPersona}.
+Follow these business rules strictly: ${bot.defaultPrompt}.
+Use the knowledge base and available API tools to assist the user.
+To call a tool, reply with action "call_api", the tool name in "tool", its JSON body in "payload" and a short note for the user in "answer".
+You will then receive the tool result and may call further tools (at most ${maxSteps} per message).
+Tools marked "needs confirmation" are not run right away: the user is asked to approve them first, so describe in "answer" what you are about to do.
+When you are done, reply with action "none" and the final answer in plain language.
+When the answer uses the company knowledge, cite the numbered passages inline like [1] and list their numbers in "citations". Only cite passages you were given.
+A passage marked as a curated answer was verified by the business: when it answers the question, base your answer on it over any other passage.
+If no relevant company knowledge was found and no tool can help, say that you don't have that information instead of guessing.
+Always respond with a valid JSON object.
+`;
+}
+
+function maxStepsFor(bot) {
+  const steps = parseInt(bot?.maxToolSteps);
+  return Number.isNaN(steps) ? AGENT_MAX_STEPS : Math.max(0, steps);
+}
+
+/**
+ * Helper: The agentic tool loop. Asks the model for a reply; while it wants to
+ * call a tool, runs the call according to the tool's policy (auto, confirm,
+ * deny), feeds the result back and asks again, up to the bot's step limit.
+ * A confirm-level call stops the loop and is returned as `pendingAction`.
+ * With `dryRun`, allowed calls are only recorded (`dryRun: true`) and the
+ * model continues as if they had been submitted.
+ * LLM token usage is added to `usage` when given.
+ *
+ * @returns {Promise<{ answer: string, citations: number[], trace: object[], pendingAction: object|null }>}
+ */
+async function runToolLoop({ bot, user, token, conversationId, system, messages, trace = [], usage, onEvent, signal, dryRun = false }) {
+  const emit = (type, data) => onEvent?.(type, data);
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw new ChatError(499, "Client closed request");
+  };
+
+  const tools = getToolsForUser(bot, user);
+  const maxSteps = maxStepsFor(bot);
+  let answer = "";
+  let citations = [];
+  let pendingAction = null;
+
+  for (let step = trace.length + 1; ; step++) {
+    const rawText = await generateReply({
+      bot,
+      system,
+      messages,
+      onToken: onEvent ? (text) => emit("token", { text, step }) : null,
+      signal,
+      usage,
+    });
+    throwIfAborted();
+
+    let aiJson;
+    try {
+      aiJson = JSON.parse(rawText);
+    } catch {
+      throw new ChatError(502, "Failed to parse LLM response");
+    }
+
+    answer = aiJson.answer || "";
+    citations = Array.isArray(aiJson.citations) ? aiJson.citations : [];
+    if (aiJson.action !== "call_api") break;
+
+    // Out of steps: the model was told to answer, keep whatever it said
+    if (trace.length >= maxSteps) {
+      console.warn(`⚠️ Chat: Tool step limit (${maxSteps}) reached for bot ${bot.botId}`);
+      break;
+    }
+
+    const tool = findTool(tools, aiJson.tool);
+    const call = tool ? resolveToolCall(tool, aiJson.payload || {}) : null;
+    const entry = {
+      step,
+      tool: aiJson.tool || null,
+      endpoint: call?.endpoint || null,
+      method: tool?.method || null,
+      payload: aiJson.payload || {},
+      ...(tool && { policy: tool.policy }),
+    };
+
+    if (!tool) {
+      Object.assign(entry, { ok: false, error: `Unknown tool "${aiJson.tool}". Use one of the listed tools.` });
+    } else if (call.missing.length) {
+      Object.assign(entry, { ok: false, error: `Missing path parameters: ${call.missing.join(", ")}` });
+    } else if (tool.policy === "deny") {
+      Object.assign(entry, { ok: false, error: "This action is not allowed through the assistant." });
+    } else if (dryRun) {
+      Object.assign(entry, { dryRun: true });
+    } else if (tool.policy === "confirm") {
+      // Stop here and let the user approve the call (POST /api/chat/actions/:id/confirm)
+      pendingAction = await createPendingAction({
+        botId: bot.botId,
+        userSub: user?.sub,
+        conversationId,
+        tool: tool.name,
+        endpoint: call.endpoint,
+        method: tool.method,
+        payload: call.payload,
+        summary: summarizeAction(tool, call),
+      });
+      Object.assign(entry, { pending: true, actionId: pendingAction.actionId });
+      trace.push(entry);
+      emit("action_pending", pendingAction);
+      break;
+    } else {
+      emit("action_proposed", entry);
+      const startedAt = Date.now();
+      const result = await executeAction({
+        bot,
+        token,
+        endpoint: call.endpoint,
+        method: tool.method,
+        payload: call.payload,
+        signal,
+      });
+      throwIfAborted();
+      Object.assign(entry, {
+        ok: result.ok,
+        ...(result.httpStatus !== undefined && { httpStatus: result.httpStatus }),
+        ...(result.ok ? { result: result.data } : { error: result.error }),
+        durationMs: Date.now() - startedAt,
+      });
+    }
+
+    trace.push(entry);
+    emit("action_result", entry);
+
+    messages.push({ role: "assistant", content: rawText });
+    messages.push({
+      role: "user",
+      content:
+        trace.length >= maxSteps
+          ? `${toolResultMessage(entry)}\n\nThe tool limit for this message is reached: reply with action "none" and the final answer now.`
+          : toolResultMessage(entry),
+    });
+  }
+
+  return { answer, citations, trace, pendingAction };
+}
+
+/**
+ * Helper: Persists a turn (the API calls are stored without response bodies so
+ * follow-ups know what was done, sources without snippets, and the IDs of the
+ * retrieved chunks for feedback), then compacts long histories in the background.
+ * @returns {Promise<string>} the messageId of the answer
+ */
+async function saveTurn(bot, conversationId, userContent, answer, trace, sources = [], chunks = []) {
+  const actions = trace.map(({ tool, endpoint, method, httpStatus, error, pending, actionId }) => ({
+    tool,
+    endpoint,
+    method,
+    ...(pending
+      ? { pending: true, actionId }
+      : httpStatus !== undefined
+        ? { httpStatus }
+        : { error: String(error).slice(0, 200) }),
+  }));
+
+  const [, reply] = await appendMessages(conversationId, [
+    { role: "user", content: userContent },
+    {
+      role: "assistant",
+      content: answer,
+      ...(actions.length && { actions }),
+      ...(sources.length && { sources: sources.map(({ snippet, score, ...source }) => source) }),
+      ...(chunks.length && { retrievedChunkIds: chunks.map((c) => c.id) }),
+    },
+  ]);
+  compactConversation(conversationId, historySummarizer(bot)).catch((err) =>
+    console.error("⚠️ Conversation compaction failed:", err)
+  );
+  return reply.messageId;
+}
+
+/**
+ * Helper: Records a chat turn in the audit log: who asked what, which chunks
+ * were retrieved (and whether any was relevant), the API calls proposed /
+ * executed, the outcome and how long the turn took. Analytics are computed
+ * from these events; `followUp` marks the model's reply after a confirmation.
+ */
+function auditTurn({ bot, user, conversation, messageId, userMessage, chunks = [], sources = [], trace = [], outcome, response, cached, error, relevant, startedAt, followUp }) {
+  return recordAuditEvent({
+    type: "chat.turn",
+    botId: bot.botId,
+    userSub: user?.sub,
+    conversationId: conversation?.conversationId,
+    outcome,
+    details: {
+      ...(messageId && { messageId }),
+      prompt: userMessage,
+      retrievedChunkIds: chunks.map((c) => c.id),
+      citedChunkIds: sources.map((s) => s.chunkId),
+      actions: auditActions(bot, trace),
+      ...(response !== undefined && { response: String(response).slice(0, 2000) }),
+      ...(relevant !== undefined && { relevant }),
+      ...(cached && { cached: true }),
+      ...(followUp && { followUp: true }),
+      ...(error && { error }),
+      ...(startedAt && { durationMs: Date.now() - startedAt }),
+    },
+  });
+}
+
+/**
+ * runChat
+ * Runs one chat turn: conversation lookup, cache, retrieval, then an agentic
+ * loop in which the model may call the bot's API tools (its endpointRoles)
+ * several times, seeing each result, before giving one final answer.
+ * Used by both the JSON and the streaming routes.
+ *
+ * Tools run according to their policy: "auto" runs right away, "deny" is
+ * refused, and "confirm" (the default for anything but GET) ends the turn with
+ * a `pendingAction` the user approves through confirmAction().
+ *
+ * `sources` lists the retrieved chunks the answer cites (document, chunk
+ * index or page, snippet, score); citations of anything else are dropped.
+ * `retrieval.relevant` is false when no chunk passed the bot's relevance
+ * thresholds. `messageId` identifies the answer for feedback (see feedback.js).
+ *
+ * Progress is reported through `onEvent(type, data)` with the types
+ * `retrieval`, `token`, `action_proposed`, `action_result` and
+ * `action_pending`. Token and action events carry the `step` they belong to.
+ *
+ * @param {object} params
+ * @param {object} params.bot
+ * @param {object} [params.user]
+ * @param {string} [params.token]
+ * @param {string} params.message
+ * @param {string} [params.conversationId]
+ * @param {object} [options]
+ * @param {(type: string, data: object) => void} [options.onEvent]
+ * @param {AbortSignal} [options.signal] - aborts the turn (e.g. client disconnected)
+ * @returns {Promise<{ botId: string, conversationId: string, messageId: string, response: string, sources: object[], retrieval?: object, cached: boolean, trace: object[], pendingAction?: object }>}
+ */
+export async function runChat({ bot, user, token, message: userMessage, conversationId }, options = {}) {
+  const { onEvent, signal } = options;
+  const emit = (type, data) => onEvent?.(type, data);
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw new ChatError(499, "Client closed request");
+  };
+
+  if (!userMessage) {
+    throw new ChatError(400, "Missing required field: message");
+  }
+
+  console.log(`💬🎊 Chat: Received message: "${userMessage}" for bot ${bot?.botId} from user ${user?.sub}`);
+  const startedAt = Date.now();
+
+  // Load or start the conversation (a new one is removed again if the turn fails)
+  let conversation = null;
+  let created = false;
+  if (conversationId) {
+    conversation = await getConversation(bot.botId, user?.sub, conversationId);
+    if (!conversation) throw new ChatError(404, "Conversation not found");
+  } else {
+    conversation = await createConversation(bot.botId, user?.sub, userMessage);
+    created = true;
+  }
+  const history = buildHistoryMessages(conversation);
+
+  // Cache lookup (only for standalone questions — follow-ups depend on history)
+  const cacheKey = responseCacheKey(bot.botId, user?.sub, userMessage);
+  const cached = history.length ? null : await getCache(cacheKey);
+  if (cached) {
+    // Entries cached before sources were added are plain strings
+    const { response, sources = [] } = typeof cached === "string" ? { response: cached } : cached;
+    const messageId = await saveTurn(bot, conversation.conversationId, userMessage, response, [], sources);
+    await auditTurn({ bot, user, conversation, messageId, userMessage, sources, outcome: "answered", response, cached: true, startedAt });
+    return {
+      botId: bot.botId,
+      conversationId: conversation.conversationId,
+      messageId,
+      response,
+      sources,
+      cached: true,
+      trace: [],
+    };
+  }
+
+  let topChunks = [];
+  let relevant;
+  let messageId = null;
+  const trace = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  try {
+    // Hybrid retrieval (vector + keyword, thresholds, document permissions, optional rerank)
+    const retrieval = await retrieveChunks(bot, userMessage, { usage, user });
+    topChunks = retrieval.chunks;
+    relevant = retrieval.relevant;
+    emit("retrieval", { chunks: topChunks.length, relevant: retrieval.relevant, withheld: retrieval.stats.withheld });
+    throwIfAborted();
+
+    const loop = await runToolLoop({
+      bot,
+      user,
+      token,
+      conversationId: conversation.conversationId,
+      system: buildSystemPrompt(bot, maxStepsFor(bot)),
+      messages: [...history, { role: "user", content: buildUserPrompt(bot, user, userMessage, topChunks) }],
+      trace,
+      usage,
+      onEvent,
+      signal,
+    });
+    const { pendingAction } = loop;
+    const { answer, sources } = resolveCitations(topChunks, loop.answer, loop.citations);
+
+    messageId = await saveTurn(bot, conversation.conversationId, userMessage, answer, trace, sources, topChunks);
+    await auditTurn({
+      bot,
+      user,
+      conversation,
+      messageId,
+      userMessage,
+      chunks: topChunks,
+      sources,
+      trace,
+      outcome: pendingAction ? "pending_confirmation" : "answered",
+      response: answer,
+      relevant,
+      startedAt,
+    });
+
+    // Cache and return (answers built from live API data are never cached)
+    if (!history.length && !trace.length) await setCache(cacheKey, { response: answer, sources });
+    return {
+      botId: bot.botId,
+      conversationId: conversation.conversationId,
+      messageId,
+      response: answer,
+      sources,
+      retrieval: { relevant: retrieval.relevant, chunks: topChunks.length },
+      cached: false,
+      trace,
+      ...(pendingAction && { pendingAction }),
+    };
+  } catch (err) {
+    // Auditing must not replace the error the caller gets
+    try {
+      await auditTurn({
+        bot,
+        user,
+        conversation,
+        userMessage,
+        chunks: topChunks,
+        trace,
+        outcome: signal?.aborted ? "aborted" : "error",
+        error: err.message,
+        relevant,
+        startedAt,
+      });
+    } catch (auditErr) {
+      console.error(`❌ Chat: Failed to audit failed turn for bot ${bot.botId}:`, auditErr.message);
+    }
+    // Don't leave an empty conversation behind for a turn that never got saved
+    if (created && !messageId) {
+      await deleteConversation(bot.botId, user?.sub, conversation.conversationId).catch((deleteErr) =>
+        console.error(`⚠️ Chat: Failed to remove empty conversation ${conversation.conversationId}:`, deleteErr.message)
+      );
+    }
+    throw err;
+  } finally {
+    // Tokens are spent whether or not the turn succeeded
+    await recordTokenUsage(bot.botId, user?.sub, usage);
+  }
+}
+
+/**
+ * evaluateTurn
+ * Runs a standalone question through the same retrieval, prompt and tool loop
+ * as runChat, for the evaluation harness, without side effects: nothing is
+ * cached, stored in a conversation or audited, and API calls are recorded
+ * but never executed or queued for confirmation.
+ *
+ * @param {object} params - { bot, user, message }
+ * @returns {Promise<{ response: string, sources: object[], chunks: object[], relevant: boolean, trace: object[], usage: object }>}
+ */
+export async function evaluateTurn({ bot, user, message }) {
+  if (!message) throw new ChatError(400, "Missing required field: message");
+
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  try {
+    const retrieval = await retrieveChunks(bot, message, { usage, user });
+    const loop = await runToolLoop({
+      bot,
+      user,
+      system: buildSystemPrompt(bot, maxStepsFor(bot)),
+      messages: [{ role: "user", content: buildUserPrompt(bot, user, message, retrieval.chunks) }],
+      usage,
+      dryRun: true,
+    });
+    const { answer, sources } = resolveCitations(retrieval.chunks, loop.answer, loop.citations);
+
+    return {
+      response: answer,
+      sources,
+      chunks: retrieval.chunks,
+      relevant: retrieval.relevant,
+      trace: loop.trace,
+      usage,
+    };
+  } finally {
+    // Evaluation tokens count against the bot, not a user
+    await recordTokenUsage(bot.botId, null, usage);
+  }
+}
+
+/**
+ * Helper: Claims a pending action for the user, or throws the ChatError that
+ * explains why it can't be decided (unknown, already decided, expired, bad token).
+ */
+async function claimPendingAction({ bot, user, actionId, actionToken }, status) {
+  if (!actionToken) throw new ChatError(400, "Missing required field: actionToken");
+
+  const action = await decidePendingAction(bot.botId, user?.sub, actionId, actionToken, status);
+  if (action) return action;
+
+  const existing = await getPendingAction(bot.botId, user?.sub, actionId);
+  if (!existing) throw new ChatError(404, "Action not found");
+  if (existing.status !== "pending") throw new ChatError(409, `Action was already ${existing.status}`);
+  if (existing.expiresAt <= new Date()) throw new ChatError(410, "Action has expired");
+  throw new ChatError(403, "Invalid action token");
+}
+
+/**
+ * confirmAction
+ * Runs a pending action the user approved, under the user's current token (so
+ * authz and the proxy's role checks apply again), then lets the model continue
+ * the conversation with the result.
+ *
+ * @param {object} params - { bot, user, token, actionId, actionToken }
+ * @param {object} [options] - { onEvent, signal } as for runChat
+ * @returns {Promise<{ botId: string, conversationId: string, messageId: string, actionId: string, response: string, trace: object[], pendingAction?: object }>}
+ */
+export async function confirmAction({ bot, user, token, actionId, actionToken }, options = {}) {
+  const action = await claimPendingAction({ bot, user, actionId, actionToken }, "confirmed");
+  const emit = (type, data) => options.onEvent?.(type, data);
+
+  const conversation = await getConversation(bot.botId, user?.sub, action.conversationId);
+  if (!conversation) throw new ChatError(404, "Conversation not found");
+
+  // The bot's configuration may have changed since the action was proposed
+  const tool = findTool(getToolsForUser(bot, user), action.tool);
+  if (!tool || tool.policy === "deny") {
+    await completePendingAction(actionId, { ok: false, error: "Action is no longer available" });
+    throw new ChatError(409, "Action is no longer available");
+  }
+
+  console.log(`✅ Chat: User ${user?.sub} confirmed ${action.method} ${action.endpoint} for bot ${bot.botId}`);
+
+  const entry = {
+    step: 1,
+    tool: action.tool,
+    endpoint: action.endpoint,
+    method: action.method,
+    payload: action.payload,
+    policy: tool.policy,
+    actionId,
+  };
+  emit("action_proposed", entry);
+  const startedAt = Date.now();
+  const result = await executeAction({
+    bot,
+    token,
+    endpoint: action.endpoint,
+    method: action.method,
+    payload: action.payload,
+    signal: options.signal,
+  });
+  Object.assign(entry, {
+    ok: result.ok,
+    ...(result.httpStatus !== undefined && { httpStatus: result.httpStatus }),
+    ...(result.ok ? { result: result.data } : { error: result.error }),
+    durationMs: Date.now() - startedAt,
+  });
+  emit("action_result", entry);
+
+  await completePendingAction(actionId, {
+    ok: result.ok,
+    ...(result.httpStatus !== undefined ? { httpStatus: result.httpStatus } : { error: result.error }),
+  });
+  await recordAuditEvent({
+    type: "action.confirmed",
+    botId: bot.botId,
+    userSub: user?.sub,
+    conversationId: conversation.conversationId,
+    outcome: result.ok ? "executed" : "failed",
+    details: auditActions(bot, [entry])[0],
+  });
+
+  const confirmation = `Confirmed: ${action.summary}`;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let loop;
+  try {
+    loop = await runToolLoop({
+      bot,
+      user,
+      token,
+      conversationId: conversation.conversationId,
+      system: buildSystemPrompt(bot, maxStepsFor(bot)),
+      messages: [
+        ...buildHistoryMessages(conversation),
+        { role: "user", content: `${confirmation}\n\n${toolResultMessage(entry)}` },
+      ],
+      trace: [entry],
+      usage,
+      onEvent: options.onEvent,
+      signal: options.signal,
+    });
+  } finally {
+    await recordTokenUsage(bot.botId, user?.sub, usage);
+  }
+  const { trace, pendingAction } = loop;
+  // No knowledge is retrieved for a confirmation, so any citation is dropped
+  const { answer } = resolveCitations([], loop.answer, loop.citations);
+
+  const messageId = await saveTurn(bot, conversation.conversationId, confirmation, answer, trace);
+  await auditTurn({
+    bot,
+    user,
+    conversation,
+    messageId,
+    userMessage: confirmation,
+    trace: trace.slice(1),
+    outcome: pendingAction ? "pending_confirmation" : "answered",
+    response: answer,
+    followUp: true,
+  });
+
+  return {
+    botId: bot.botId,
+    conversationId: conversation.conversationId,
+    messageId,
+    actionId,
+    response: answer,
+    trace,
+    ...(pendingAction && { pendingAction }),
+  };
+}
+
+/**
+ * rejectAction
+ * Discards a pending action and notes the decision in the conversation.
+ *
+ * @param {object} params - { bot, user, actionId, actionToken }
+ * @returns {Promise<{ botId: string, conversationId: string, messageId?: string, actionId: string, response: string }>}
+ */
+export async function rejectAction({ bot, user, actionId, actionToken }) {
+  const action = await claimPendingAction({ bot, user, actionId, actionToken }, "rejected");
+  const response = `Okay, I did not go ahead with: ${action.summary}`;
+
+  console.log(`🚫 Chat: User ${user?.sub} rejected ${action.method} ${action.endpoint} for bot ${bot.botId}`);
+  await recordAuditEvent({
+    type: "action.rejected",
+    botId: bot.botId,
+    userSub: user?.sub,
+    conversationId: action.conversationId,
+    outcome: "rejected",
+    details: {
+      actionId,
+      tool: action.tool,
+      method: action.method,
+      endpoint: action.endpoint,
+      payload: redactPayload(bot, action.payload),
+    },
+  });
+
+  const conversation = await getConversation(bot.botId, user?.sub, action.conversationId);
+  let messageId;
+  if (conversation) {
+    const [, reply] = await appendMessages(conversation.conversationId, [
+      { role: "user", content: `Rejected: ${action.summary}` },
+      { role: "assistant", content: response },
+    ]);
+    messageId = reply.messageId;
+  }
+
+  return { botId: bot.botId, conversationId: action.conversationId, ...(messageId && { messageId }), actionId, response };
+}
@@ -0,0 +1,273 @@
+// src/services/chunking/index.js
+import dotenv from "dotenv";
+import { countTokens, splitByTokens } from "./tokens.js";
+
+dotenv.config();
+
+/**
+ * Chunking strategies a bot can choose (`bot.chunking.strategy`):
+ *   "section"  - chunks never cross a heading; every chunk starts with its
+ *                section's heading path, so headings stay with their content
+ *   "sentence" - packs paragraphs and sentences up to the size, across headings
+ *   "fixed"    - plain token windows, ignoring structure
+ * All of them size chunks in tokens, overlap consecutive chunks by up to
+ * `overlapTokens`, hard-split anything longer than `maxTokens`, and record
+ * page and section metadata.
+ */
+export const CHUNKING_STRATEGIES = ["section", "sentence", "fixed"];
+
+const DEFAULT_SETTINGS = {
+  strategy: process.env.CHUNK_STRATEGY || "section",
+  maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS) || 300,
+  overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 40,
+};
+
+const MIN_CHUNK_TOKENS = 50;
+const MAX_CHUNK_TOKENS = 2000;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Parses a bot's `chunking` setting (object or JSON string), e.g.
+ * { "strategy": "section", "maxTokens": 300, "overlapTokens": 40 }.
+ * Returns null when it is not valid.
+ */
+export function parseChunkingSettings(value) {
+  let settings = value;
+  if (typeof value === "string") {
+    try {
+      settings = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) return null;
+
+  const parsed = {};
+  for (const [key, raw] of Object.entries(settings)) {
+    if (key === "strategy") {
+      if (!CHUNKING_STRATEGIES.includes(raw)) return null;
+      parsed.strategy = raw;
+    } else if (key === "maxTokens" || key === "overlapTokens") {
+      const number = Number(raw);
+      if (raw === "" || raw === null || !Number.isInteger(number) || number < 0) return null;
+      parsed[key] = number;
+    } else {
+      return null;
+    }
+  }
+
+  if (parsed.maxTokens !== undefined && (parsed.maxTokens < MIN_CHUNK_TOKENS || parsed.maxTokens > MAX_CHUNK_TOKENS)) return null;
+  const maxTokens = parsed.maxTokens ?? DEFAULT_SETTINGS.maxTokens;
+  if (parsed.overlapTokens !== undefined && parsed.overlapTokens > maxTokens / 2) return null;
+  return parsed;
+}
+
+/**
+ * The bot's effective chunking settings (bot over environment defaults).
+ * @returns {{ strategy: string, maxTokens: number, overlapTokens: number }}
+ */
+export function getChunkingSettings(bot) {
+  const settings = { ...DEFAULT_SETTINGS, ...(parseChunkingSettings(bot?.chunking || {}) || {}) };
+  settings.overlapTokens = Math.min(settings.overlapTokens, Math.floor(settings.maxTokens / 2));
+  return settings;
+}
+
+/**
+ * Walks the extracted document line by line and returns its paragraphs and
+ * headings in order, each tagged with its page and section path.
+ */
+function readBlocks(extracted) {
+  const sources = extracted.pages?.length
+    ? extracted.pages.map((p) => ({ text: p.text || "", page: p.num }))
+    : [{ text: extracted.text || "" }];
+
+  const blocks = [];
+  const headings = [];
+  const sectionPath = () => headings.map((h) => h.title).join(" > ") || undefined;
+
+  for (const { text, page } of sources) {
+    let paragraph = [];
+    const flush = () => {
+      const body = paragraph.join("\n").trim();
+      if (body) blocks.push({ type: "text", text: body, page, section: sectionPath() });
+      paragraph = [];
+    };
+
+    for (const line of text.split("\n")) {
+      const heading = HEADING_PATTERN.exec(line.trim());
+      if (heading) {
+        flush();
+        const level = heading[1].length;
+        while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+        headings.push({ level, title: heading[2] });
+        blocks.push({ type: "heading", text: line.trim(), page, section: sectionPath() });
+      } else if (!line.trim()) {
+        flush();
+      } else {
+        paragraph.push(line);
+      }
+    }
+    flush();
+  }
+
+  return blocks;
+}
+
+/**
+ * Breaks a block into units of at most `maxTokens`: the whole paragraph when
+ * it fits, else its sentences, else hard-split windows.
+ */
+function toUnits(block, maxTokens) {
+  const unit = (text) => ({ ...block, text, tokens: countTokens(text) });
+  if (countTokens(block.text) <= maxTokens) return [unit(block.text)];
+
+  return block.text
+    .split(/(?<=[.!?])\s+/)
+    .filter((s) => s.trim())
+    .flatMap((sentence) => (countTokens(sentence) <= maxTokens ? [sentence] : splitByTokens(sentence, maxTokens)))
+    .map(unit);
+}
+
+/**
+ * Builds a chunk record from its units.
+ */
+function toChunk(units, prefix) {
+  const body = units.map((u) => u.text).join("\n\n");
+  const text = prefix ? `${prefix}\n\n${body}` : body;
+  const first = units.find((u) => !u.overlap) || units[0];
+  const last = units[units.length - 1];
+
+  return {
+    text,
+    metadata: {
+      ...(first.page !== undefined && { page: first.page }),
+      ...(last.page !== undefined && last.page !== first.page && { pageEnd: last.page }),
+      ...(first.section && { section: first.section }),
+      tokens: countTokens(text),
+    },
+  };
+}
+
+/**
+ * "section" and "sentence": packs units into chunks up to maxTokens, carrying
+ * the trailing units of a chunk (up to overlapTokens) into the next one when
+ * the next unit leaves room for them.
+ */
+function packUnits(blocks, { strategy, maxTokens, overlapTokens }) {
+  const bySection = strategy === "section";
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let prefix = "";
+
+  const emit = (carryOverlap) => {
+    if (!current.some((u) => !u.overlap)) return;
+    chunks.push(toChunk(current, prefix));
+
+    const carried = [];
+    let carriedTokens = 0;
+    if (carryOverlap) {
+      for (const u of [...current].reverse()) {
+        if (u.type === "heading" || carriedTokens + u.tokens > overlapTokens) break;
+        carried.unshift({ ...u, overlap: true });
+        carriedTokens += u.tokens;
+      }
+    }
+    current = carried;
+    tokens = carriedTokens;
+    // Later chunks of a section repeat its heading path
+    prefix = bySection && current.length ? headingPrefix(current[0].section) : "";
+    tokens += countTokens(prefix);
+  };
+
+  for (const block of blocks) {
+    if (bySection && block.type === "heading") {
+      emit(false);
+      current = [];
+      tokens = 0;
+      prefix = "";
+    }
+
+    // Leave room for the heading path repeated at the top of later chunks
+    const budget = bySection
+      ? Math.max(maxTokens - countTokens(headingPrefix(block.section)), Math.floor(maxTokens / 2))
+      : maxTokens;
+    for (const unit of toUnits(block, budget)) {
+      if (tokens + unit.tokens > maxTokens && current.length) {
+        emit(true);
+        // Drop as much of the carried overlap as this unit needs room for
+        while (current.length && tokens + unit.tokens > maxTokens) tokens -= current.shift().tokens;
+        if (!current.length) {
+          prefix = bySection ? headingPrefix(unit.section) : "";
+          tokens = countTokens(prefix);
+        }
+        // A heading path too long to repeat is left out rather than overflow
+        if (tokens + unit.tokens > maxTokens) {
+          prefix = "";
+          tokens = current.reduce((sum, u) => sum + u.tokens, 0);
+        }
+      }
+      current.push(unit);
+      tokens += unit.tokens;
+    }
+  }
+  emit(false);
+
+  return chunks;
+}
+
+function headingPrefix(section) {
+  return section ? `# ${section}` : "";
+}
+
+/**
+ * "fixed": windows of maxTokens over the words of the document, advancing by
+ * maxTokens - overlapTokens.
+ */
+function fixedWindows(blocks, { maxTokens, overlapTokens }) {
+  const words = blocks.flatMap((block) =>
+    block.text
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap((word) => (countTokens(word) > maxTokens ? splitByTokens(word, maxTokens) : [word]))
+      .map((word) => ({ text: word, tokens: countTokens(word), page: block.page, section: block.section }))
+  );
+
+  const chunks = [];
+  let start = 0;
+  while (start < words.length) {
+    let end = start;
+    let tokens = 0;
+    while (end < words.length && tokens + words[end].tokens <= maxTokens) tokens += words[end++].tokens;
+    if (end === start) end++;
+
+    const window = words.slice(start, end);
+    const chunk = toChunk([{ ...window[0], text: window.map((w) => w.text).join(" ") }]);
+    const last = window[window.length - 1];
+    if (last.page !== undefined && last.page !== window[0].page) chunk.metadata.pageEnd = last.page;
+    chunks.push(chunk);
+    if (end >= words.length) break;
+
+    // Step back over up to overlapTokens worth of words, always moving forward
+    let back = end;
+    let overlap = 0;
+    while (back - 1 > start && overlap + words[back - 1].tokens <= overlapTokens) overlap += words[--back].tokens;
+    start = back;
+  }
+
+  return chunks;
+}
+
+/**
+ * Splits an extracted document into chunks for the vector store.
+ *
+ * @param {{ text: string, pages?: Array<{ num: number, text: string }> }} extracted - from extractText()
+ * @param {object} [settings] - see getChunkingSettings()
+ * @returns {Array<{ text: string, metadata: { page?: number, pageEnd?: number, section?: string, tokens: number } }>}
+ */
+export function chunkDocument(extracted, settings = getChunkingSettings()) {
+  const blocks = readBlocks(extracted);
+  if (!blocks.length) return [];
+  return settings.strategy === "fixed" ? fixedWindows(blocks, settings) : packUnits(blocks, settings);
+}
@@ -0,0 +1,64 @@
+// src/services/chunking/tokens.js
+
+// Roughly how many characters of a long word make one model token
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Splits text into token-sized pieces without a model tokenizer: words and
+ * numbers (long ones in 4-character pieces) and single punctuation marks.
+ * Close enough to BPE counts for sizing chunks.
+ * @returns {string[]}
+ */
+function pieces(text) {
+  const out = [];
+  for (const match of String(text || "").matchAll(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu)) {
+    const word = match[0];
+    for (let i = 0; i < word.length; i += CHARS_PER_TOKEN) out.push(word.slice(i, i + CHARS_PER_TOKEN));
+  }
+  return out;
+}
+
+/**
+ * Estimated token count of a text.
+ */
+export function countTokens(text) {
+  return pieces(text).length;
+}
+
+/**
+ * Hard-splits text that exceeds `maxTokens` into consecutive windows of at most
+ * `maxTokens`, preferring whitespace boundaries; a run without whitespace
+ * (a long URL, a table row without spaces) is cut inside the run.
+ * @returns {string[]}
+ */
+export function splitByTokens(text, maxTokens) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const parts = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length) parts.push(current.join(" "));
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const word of words) {
+    const tokens = countTokens(word);
+
+    if (tokens > maxTokens) {
+      flush();
+      // Cut the run itself into windows of roughly maxTokens tokens
+      const step = Math.max(1, Math.floor(word.length / Math.ceil(tokens / maxTokens)));
+      for (let i = 0; i < word.length; i += step) parts.push(word.slice(i, i + step));
+      continue;
+    }
+
+    if (currentTokens + tokens > maxTokens) flush();
+    current.push(word);
+    currentTokens += tokens;
+  }
+  flush();
+
+  return parts;
+}
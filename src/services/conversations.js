@@ -0,0 +1,211 @@
+// src/services/conversations.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+
+// Number of stored messages (after the summary cut-off) that triggers compaction
+const HISTORY_MAX_MESSAGES = parseInt(process.env.HISTORY_MAX_MESSAGES) || 20;
+// Number of most recent messages kept verbatim when compacting
+const HISTORY_KEEP_RECENT = parseInt(process.env.HISTORY_KEEP_RECENT) || 8;
+// Character budget for the replayed history sent to the model
+const HISTORY_MAX_CHARS = parseInt(process.env.HISTORY_MAX_CHARS) || 12000;
+
+function conversations() {
+  return getDB().collection("conversations");
+}
+
+/**
+ * Loads a conversation owned by the given user for the given bot.
+ * @returns {Promise<object|null>}
+ */
+export async function getConversation(botId, userSub, conversationId) {
+  if (!conversationId) return null;
+  return conversations().findOne(
+    { conversationId, botId, userSub: userSub ?? null },
+    { projection: { _id: 0 } }
+  );
+}
+
+/**
+ * Creates an empty conversation. The first user message is used as its title.
+ */
+export async function createConversation(botId, userSub, firstMessage = "") {
+  const now = new Date();
+  const conversation = {
+    conversationId: `conv-${crypto.randomUUID()}`,
+    botId,
+    userSub: userSub ?? null,
+    title: firstMessage.trim().slice(0, 80),
+    summary: "",
+    summarizedCount: 0,
+    messages: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await conversations().insertOne({ ...conversation });
+  return conversation;
+}
+
+/**
+ * Lists a user's conversations for a bot, most recent first (without messages).
+ */
+export async function listConversations(botId, userSub, { limit = 20, skip = 0 } = {}) {
+  return conversations()
+    .find(
+      { botId, userSub: userSub ?? null },
+      { projection: { _id: 0, messages: 0 } }
+    )
+    .sort({ updatedAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Deletes a conversation. Returns true if something was deleted.
+ */
+export async function deleteConversation(botId, userSub, conversationId) {
+  const result = await conversations().deleteOne({
+    conversationId,
+    botId,
+    userSub: userSub ?? null,
+  });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Deletes every conversation of a bot (all users). Returns the number removed.
+ */
+export async function deleteBotConversations(botId) {
+  const result = await conversations().deleteMany({ botId });
+  return result.deletedCount;
+}
+
+/**
+ * Appends messages to a conversation.
+ * @param {string} conversationId
+ * @param {Array<{ role: "user"|"assistant", content: string, actions?: object[] }>} messages
+ * @returns {Promise<object[]>} the stored messages, with their messageId
+ */
+export async function appendMessages(conversationId, messages) {
+  const now = new Date();
+  const docs = messages.map((m) => ({
+    messageId: m.messageId || `msg-${crypto.randomUUID()}`,
+    role: m.role,
+    content: m.content || "",
+    ...(m.actions?.length && { actions: m.actions }),
+    ...(m.sources?.length && { sources: m.sources }),
+    ...(m.retrievedChunkIds?.length && { retrievedChunkIds: m.retrievedChunkIds }),
+    createdAt: now,
+  }));
+
+  await conversations().updateOne(
+    { conversationId },
+    { $push: { messages: { $each: docs } }, $set: { updatedAt: now } }
+  );
+  return docs;
+}
+
+/**
+ * Finds one of the user's messages in a bot's conversations, with the user
+ * message before it (the prompt of an answer).
+ * @returns {Promise<{ conversation: object, message: object, prompt: object|null }|null>}
+ */
+export async function findMessage(botId, userSub, messageId) {
+  if (!messageId) return null;
+  const conversation = await conversations().findOne(
+    { botId, userSub: userSub ?? null, "messages.messageId": messageId },
+    { projection: { _id: 0 } }
+  );
+  if (!conversation) return null;
+
+  const index = conversation.messages.findIndex((m) => m.messageId === messageId);
+  const prompt = conversation.messages.slice(0, index).findLast((m) => m.role === "user") || null;
+  return { conversation, message: conversation.messages[index], prompt };
+}
+
+/**
+ * Renders a stored message as plain text for the model, including the
+ * API actions that were executed as part of that turn.
+ */
+function renderMessage(m) {
+  // Messages stored before the tool loop carry a single `action`
+  const actions = m.actions || (m.action ? [m.action] : []);
+  if (!actions.length) return m.content;
+
+  const lines = actions.map(({ tool, method, endpoint, httpStatus, error, pending }) => {
+    const target = endpoint ? `${method || "GET"} ${endpoint}` : tool;
+    if (pending) return `[Proposed API action: ${target} → awaiting user confirmation]`;
+    const outcome = error ? `failed: ${error}` : `status ${httpStatus ?? "unknown"}`;
+    return `[Executed API action: ${target} → ${outcome}]`;
+  });
+  return `${m.content}\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Builds the provider-neutral message history for a conversation: an optional
+ * summary of older turns followed by the recent turns, trimmed to the character budget.
+ * @returns {Array<{ role: "user"|"assistant", content: string }>}
+ */
+export function buildHistoryMessages(conversation) {
+  if (!conversation) return [];
+
+  const recent = conversation.messages.slice(conversation.summarizedCount || 0);
+  const turns = [];
+  let budget = HISTORY_MAX_CHARS;
+
+  // Walk backwards so the newest turns survive trimming
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const content = renderMessage(recent[i]);
+    if (content.length > budget) break;
+    budget -= content.length;
+    turns.unshift({ role: recent[i].role, content });
+  }
+
+  // Models expect the history to start with a user turn
+  while (turns.length && turns[0].role !== "user") turns.shift();
+
+  if (conversation.summary) {
+    turns.unshift(
+      { role: "user", content: `Summary of our earlier conversation:\n${conversation.summary}` },
+      { role: "assistant", content: "Understood, I will keep that in mind." }
+    );
+  }
+
+  return turns;
+}
+
+/**
+ * Folds older messages into the running summary once the unsummarized history
+ * grows past HISTORY_MAX_MESSAGES. Falls back to plain trimming if the
+ * summarizer fails, so a long session never blocks the chat.
+ *
+ * @param {string} conversationId
+ * @param {(previousSummary: string, transcript: string) => Promise<string>} summarize
+ */
+export async function compactConversation(conversationId, summarize) {
+  const conversation = await conversations().findOne({ conversationId });
+  if (!conversation) return;
+
+  const start = conversation.summarizedCount || 0;
+  const pending = conversation.messages.length - start;
+  if (pending <= HISTORY_MAX_MESSAGES) return;
+
+  const cutoff = conversation.messages.length - HISTORY_KEEP_RECENT;
+  const older = conversation.messages.slice(start, cutoff);
+  const transcript = older
+    .map((m) => `${m.role === "assistant" ? "Assistant" : "User"}: ${renderMessage(m)}`)
+    .join("\n");
+
+  let summary = conversation.summary || "";
+  try {
+    summary = (await summarize(summary, transcript)) || summary;
+  } catch (err) {
+    console.error("⚠️ Conversation summarization failed, trimming instead:", err.message);
+  }
+
+  await conversations().updateOne(
+    { conversationId },
+    { $set: { summary, summarizedCount: cutoff, updatedAt: new Date() } }
+  );
+}
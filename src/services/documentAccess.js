@@ -0,0 +1,231 @@
+// src/services/documentAccess.js
+import dotenv from "dotenv";
+import { getFgaClient, isFgaConfigured, DOCUMENT_RELATION } from "../config/fga.js";
+
+dotenv.config();
+
+/**
+ * Document-level access modes a bot can choose (`bot.documentAccess`):
+ *   "off"         - no checks, every retrieved chunk may be used
+ *   "fail-closed" - only chunks the user may read; if FGA can't answer, none
+ *   "fail-open"   - only chunks the user may read; if FGA can't answer, all
+ * Without a setting, bots use DOCUMENT_ACCESS_MODE, else "off": checking is
+ * opt-in, since documents have no readers until they are granted.
+ */
+export const DOCUMENT_ACCESS_MODES = ["off", "fail-closed", "fail-open"];
+
+// Tuples read per page when listing a document's readers
+const READ_PAGE_SIZE = 100;
+
+/**
+ * Error raised by grant / revoke / list calls, with the HTTP status the route should return.
+ */
+export class DocumentAccessError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "DocumentAccessError";
+    this.status = status;
+  }
+}
+
+/**
+ * The bot's effective document access mode.
+ */
+export function getDocumentAccessMode(bot) {
+  if (DOCUMENT_ACCESS_MODES.includes(bot?.documentAccess)) return bot.documentAccess;
+  if (DOCUMENT_ACCESS_MODES.includes(process.env.DOCUMENT_ACCESS_MODE)) return process.env.DOCUMENT_ACCESS_MODE;
+  return "off";
+}
+
+/**
+ * FGA object of a knowledge base document. The filename is URI-encoded, as
+ * FGA object IDs can't contain whitespace, ":" or "#".
+ */
+export function documentObject(botId, filename) {
+  return `document:${botId}/${encodeURIComponent(filename)}`;
+}
+
+/**
+ * FGA user of a subject: `user:<id>` (`user:*` for everyone) or `group:<id>#member`.
+ */
+function toFgaUser({ type, id }) {
+  return type === "group" ? `group:${id}#member` : `user:${id}`;
+}
+
+function fromFgaUser(user) {
+  const [type, rest] = user.split(/:(.*)/s);
+  return { type, id: type === "group" ? rest.replace(/#member$/, "") : rest };
+}
+
+/**
+ * Normalizes `{ users: [...], groups: [...] }` from a request body into
+ * subjects. Returns null when it is not valid or empty.
+ * @returns {Array<{ type: "user"|"group", id: string }>|null}
+ */
+export function parseSubjects(body) {
+  const subjects = [];
+  for (const [field, type] of [["users", "user"], ["groups", "group"]]) {
+    const ids = body?.[field] ?? [];
+    if (!Array.isArray(ids)) return null;
+    for (const id of ids) {
+      // "*" (everyone) only makes sense for users; FGA reserves ":" and "#"
+      if (typeof id !== "string" || !id.trim() || /[:#\s]/.test(id) || (id === "*" && type === "group")) return null;
+      subjects.push({ type, id });
+    }
+  }
+  return subjects.length ? subjects : null;
+}
+
+function requireClient() {
+  let client;
+  try {
+    client = getFgaClient();
+  } catch (err) {
+    console.error("❌ FGA: Invalid client configuration:", err.message);
+    throw new DocumentAccessError(503, `Document permissions are misconfigured: ${err.message}`);
+  }
+  if (!client) throw new DocumentAccessError(503, "Document permissions are not configured (FGA_API_URL, FGA_STORE_ID)");
+  return client;
+}
+
+function tuplesFor(botId, filename, subjects) {
+  const object = documentObject(botId, filename);
+  return subjects.map((s) => ({ user: toFgaUser(s), relation: DOCUMENT_RELATION, object }));
+}
+
+/**
+ * Lists who can read a document (direct tuples only).
+ * @returns {Promise<Array<{ type: string, id: string }>>}
+ */
+export async function listDocumentReaders(botId, filename) {
+  const client = requireClient();
+  const readers = [];
+  let continuationToken;
+
+  try {
+    do {
+      const page = await client.read(
+        { relation: DOCUMENT_RELATION, object: documentObject(botId, filename) },
+        { pageSize: READ_PAGE_SIZE, ...(continuationToken && { continuationToken }) }
+      );
+      readers.push(...(page.tuples || []).map((t) => fromFgaUser(t.key.user)));
+      continuationToken = page.continuation_token || undefined;
+    } while (continuationToken);
+  } catch (err) {
+    console.error("❌ FGA: Reading document readers failed:", err.message);
+    throw new DocumentAccessError(502, "Permission store is unavailable");
+  }
+
+  return readers;
+}
+
+/**
+ * Grants `reader` on a document. Subjects that already have it are skipped.
+ * @returns {Promise<number>} the number of new grants
+ */
+export async function grantDocumentAccess(botId, filename, subjects) {
+  const existing = new Set((await listDocumentReaders(botId, filename)).map(toFgaUser));
+  const tuples = tuplesFor(botId, filename, subjects).filter((t) => !existing.has(t.user));
+  if (!tuples.length) return 0;
+
+  try {
+    await requireClient().writeTuples(tuples);
+  } catch (err) {
+    console.error("❌ FGA: Granting document access failed:", err.message);
+    throw new DocumentAccessError(502, "Permission store is unavailable");
+  }
+  console.log(`🔐 FGA: Granted ${tuples.length} reader(s) on ${documentObject(botId, filename)}`);
+  return tuples.length;
+}
+
+/**
+ * Revokes `reader` on a document. Subjects without it are skipped.
+ * @returns {Promise<number>} the number of removed grants
+ */
+export async function revokeDocumentAccess(botId, filename, subjects) {
+  const existing = new Set((await listDocumentReaders(botId, filename)).map(toFgaUser));
+  const tuples = tuplesFor(botId, filename, subjects).filter((t) => existing.has(t.user));
+  if (!tuples.length) return 0;
+
+  try {
+    await requireClient().deleteTuples(tuples);
+  } catch (err) {
+    console.error("❌ FGA: Revoking document access failed:", err.message);
+    throw new DocumentAccessError(502, "Permission store is unavailable");
+  }
+  console.log(`🔐 FGA: Revoked ${tuples.length} reader(s) on ${documentObject(botId, filename)}`);
+  return tuples.length;
+}
+
+/**
+ * Removes every grant on a document, e.g. when it is deleted. Never throws.
+ */
+export async function clearDocumentAccess(botId, filename) {
+  if (!isFgaConfigured()) return;
+  try {
+    const readers = await listDocumentReaders(botId, filename);
+    if (readers.length) await requireClient().deleteTuples(tuplesFor(botId, filename, readers));
+  } catch (err) {
+    console.error(`❌ FGA: Could not clear grants on ${documentObject(botId, filename)}:`, err.message);
+  }
+}
+
+/**
+ * Keeps only the chunks the user may read, with one batched FGA check per
+ * distinct document (not per chunk). Anonymous users can't be checked, so
+ * they get no documents unless the bot's mode is "off".
+ *
+ * @param {object} bot
+ * @param {{ sub?: string }|null} user
+ * @param {object[]} chunks - VectorHit[]
+ * @returns {Promise<{ chunks: object[], withheld: number, checked: boolean }>}
+ */
+export async function filterReadableChunks(bot, user, chunks) {
+  const mode = getDocumentAccessMode(bot);
+  if (mode === "off" || !chunks.length) return { chunks, withheld: 0, checked: false };
+
+  // Derived from the filename where possible, so chunks stored with an unencoded docKey still match
+  const docOf = (c) =>
+    c.fields?.filename ? documentObject(bot.botId, c.fields.filename) : c.fields?.docKey || documentObject(bot.botId, "unknown");
+  const objects = [...new Set(chunks.map(docOf))];
+
+  let readable;
+  try {
+    readable = await checkReadable(user, objects);
+  } catch (err) {
+    console.error(`❌ FGA: Document checks failed for bot ${bot.botId} (${mode}):`, err.message);
+    if (mode === "fail-open") return { chunks, withheld: 0, checked: false };
+    readable = new Set();
+  }
+
+  const allowed = chunks.filter((c) => readable.has(docOf(c)));
+  const withheld = chunks.length - allowed.length;
+  if (withheld) console.log(`🔐 FGA: Withheld ${withheld} chunk(s) from ${user?.sub || "anonymous"} on bot ${bot.botId}`);
+  return { chunks: allowed, withheld, checked: true };
+}
+
+/**
+ * The subset of `objects` the user can read.
+ * @throws when FGA is not configured or a check fails
+ */
+async function checkReadable(user, objects) {
+  const client = getFgaClient();
+  if (!client) throw new Error("FGA is not configured");
+  if (!user?.sub) return new Set();
+
+  const { result } = await client.batchCheck({
+    checks: objects.map((object, i) => ({
+      user: `user:${user.sub}`,
+      relation: DOCUMENT_RELATION,
+      object,
+      correlationId: String(i),
+    })),
+  });
+
+  const readable = new Set();
+  for (const r of result || []) {
+    if (r.error) throw new Error(r.error.message || `check of ${objects[Number(r.correlationId)]} failed`);
+    if (r.allowed) readable.add(objects[Number(r.correlationId)]);
+  }
+  return readable;
+}
@@ -0,0 +1,85 @@
+// src/services/documents.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+import { deleteEmbeddings } from "./vectorStore.js";
+import { invalidateBotCache } from "../utils/cache.js";
+import { clearDocumentAccess } from "./documentAccess.js";
+
+function documents() {
+  return getDB().collection("documents");
+}
+
+/**
+ * SHA-256 of the uploaded file, used to detect unchanged re-uploads.
+ */
+export function hashFile(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+export function newDocumentId() {
+  return `doc-${crypto.randomUUID()}`;
+}
+
+/**
+ * Lists a bot's knowledge base documents, newest first (without chunk IDs).
+ */
+export async function listDocuments(botId) {
+  return documents()
+    .find({ botId }, { projection: { _id: 0, chunkIds: 0 } })
+    .sort({ uploadedAt: -1 })
+    .toArray();
+}
+
+export async function getDocument(botId, docId) {
+  return documents().findOne({ botId, docId }, { projection: { _id: 0 } });
+}
+
+export async function findDocumentByFilename(botId, filename) {
+  return documents().findOne({ botId, filename }, { projection: { _id: 0 } });
+}
+
+/**
+ * Inserts or replaces the record for a document after its chunks were upserted.
+ * @param {object} doc - { docId, botId, filename, hash, size, mimetype, format, chunkIds, version }
+ */
+export async function saveDocument(doc) {
+  const now = new Date();
+  const { uploadedAt, ...rest } = doc;
+
+  await documents().updateOne(
+    { botId: doc.botId, docId: doc.docId },
+    {
+      $set: { ...rest, chunkCount: doc.chunkIds.length, updatedAt: now },
+      $setOnInsert: { uploadedAt: uploadedAt || now },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Removes all document records of a bot and their permission grants (its
+ * vectors are cleared separately with the whole namespace). Returns the
+ * number of removed records.
+ */
+export async function deleteBotDocuments(botId) {
+  const filenames = await documents().distinct("filename", { botId });
+  for (const filename of filenames) await clearDocumentAccess(botId, filename);
+
+  const result = await documents().deleteMany({ botId });
+  return result.deletedCount;
+}
+
+/**
+ * Deletes a document, its vectors and its permission grants. Returns false if it does not exist.
+ */
+export async function deleteDocument(botId, docId) {
+  const doc = await documents().findOne({ botId, docId });
+  if (!doc) return false;
+
+  await deleteEmbeddings(botId, doc.chunkIds || []);
+  await documents().deleteOne({ botId, docId });
+  await clearDocumentAccess(botId, doc.filename);
+  await invalidateBotCache(botId, `${doc.filename} removed`);
+  console.log(`🗑️ Documents: Removed ${doc.filename} (${docId}) from bot ${botId}`);
+  return true;
+}
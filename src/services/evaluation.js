@@ -0,0 +1,438 @@
+// src/services/evaluation.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+import { evaluateTurn } from "./chatPipeline.js";
+import { getToolsForUser, findTool } from "./tools.js";
+import { tokenizeForSearch } from "./lexicalIndex.js";
+import { enqueueJob, registerJobHandler, PermanentJobError } from "./jobs.js";
+
+// Upper bound on cases per evaluation set (every case costs LLM calls)
+const EVAL_MAX_CASES = parseInt(process.env.EVAL_MAX_CASES) || 200;
+// A case counts as regressed when its answer similarity drops by more than this
+const SIMILARITY_REGRESSION = 0.1;
+
+const METRICS = ["retrievalHitRate", "actionAccuracy", "answerSimilarity"];
+
+/**
+ * Evaluation sets, one per named suite of a bot:
+ * { setId, botId, name, user, cases: [{ caseId, question, expectedAnswer?,
+ *   expectedSources?: [filename], expectedActions?: [{ method, endpoint }] }],
+ *   baselineRunId, createdBy, createdAt, updatedAt }
+ */
+function evalSets() {
+  return getDB().collection("eval_sets");
+}
+
+/**
+ * Evaluation runs: { runId, setId, botId, status, startedBy, progress, summary,
+ * results: [...], comparison, error, createdAt, finishedAt }
+ */
+function evalRuns() {
+  return getDB().collection("eval_runs");
+}
+
+/**
+ * Error raised by evaluation set / run operations, with the HTTP status the route should return.
+ */
+export class EvaluationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "EvaluationError";
+    this.status = status;
+  }
+}
+
+/**
+ * Parses an expected action: `{ method, endpoint }` or a "POST /orders/{id}" string.
+ * The endpoint may be the tool's path template, a concrete path or the tool name.
+ */
+function parseExpectedAction(value) {
+  const [method, endpoint] =
+    typeof value === "string" ? value.trim().split(/\s+/, 2) : [value?.method, value?.endpoint];
+  if (typeof method !== "string" || typeof endpoint !== "string" || !method || !endpoint) return null;
+  return { method: method.toUpperCase(), endpoint };
+}
+
+/**
+ * Validates and normalizes the cases of an evaluation set.
+ * @returns {{ cases?: object[], error?: string }}
+ */
+export function parseEvalCases(cases) {
+  if (!Array.isArray(cases) || !cases.length) return { error: "cases must be a non-empty array" };
+  if (cases.length > EVAL_MAX_CASES) return { error: `At most ${EVAL_MAX_CASES} cases per set` };
+
+  const parsed = [];
+  for (const [i, c] of cases.entries()) {
+    const label = `Case ${i + 1}`;
+    if (typeof c?.question !== "string" || !c.question.trim()) return { error: `${label}: question is required` };
+    if (c.expectedAnswer !== undefined && typeof c.expectedAnswer !== "string")
+      return { error: `${label}: expectedAnswer must be a string` };
+    if (c.expectedSources !== undefined &&
+        (!Array.isArray(c.expectedSources) || c.expectedSources.some((s) => typeof s !== "string")))
+      return { error: `${label}: expectedSources must be an array of filenames` };
+
+    let expectedActions;
+    if (c.expectedActions !== undefined) {
+      if (!Array.isArray(c.expectedActions)) return { error: `${label}: expectedActions must be an array` };
+      expectedActions = c.expectedActions.map(parseExpectedAction);
+      if (expectedActions.includes(null))
+        return { error: `${label}: expected actions need a method and an endpoint, e.g. "POST /orders/{id}/cancel"` };
+    }
+
+    parsed.push({
+      caseId: typeof c.caseId === "string" && c.caseId ? c.caseId : `case-${i + 1}`,
+      question: c.question.trim(),
+      ...(c.expectedAnswer !== undefined && { expectedAnswer: c.expectedAnswer }),
+      ...(c.expectedSources !== undefined && { expectedSources: c.expectedSources }),
+      ...(expectedActions && { expectedActions }),
+    });
+  }
+
+  if (new Set(parsed.map((c) => c.caseId)).size !== parsed.length) return { error: "caseId values must be unique" };
+  return { cases: parsed };
+}
+
+/**
+ * Creates an evaluation set. `user` holds the claims the questions are asked
+ * as (sub and role claims), which decide the tools and documents available.
+ */
+export async function createEvalSet(botId, { name, cases, user }, createdBy) {
+  const parsed = parseEvalCases(cases);
+  if (parsed.error) throw new EvaluationError(400, parsed.error);
+  if (typeof name !== "string" || !name.trim()) throw new EvaluationError(400, "name is required");
+
+  const now = new Date();
+  const set = {
+    setId: `eval-${crypto.randomUUID()}`,
+    botId,
+    name: name.trim(),
+    user: evalUser(user),
+    cases: parsed.cases,
+    baselineRunId: null,
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await evalSets().insertOne(set);
+  const { _id, ...view } = set;
+  return view;
+}
+
+function evalUser(user) {
+  return user && typeof user === "object" && !Array.isArray(user) ? { sub: "eval", ...user } : { sub: "eval" };
+}
+
+/**
+ * Lists a bot's evaluation sets (without their cases).
+ */
+export async function listEvalSets(botId) {
+  const sets = await evalSets()
+    .find({ botId }, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return sets.map(({ cases, ...set }) => ({ ...set, caseCount: cases.length }));
+}
+
+export async function getEvalSet(botId, setId) {
+  return evalSets().findOne({ botId, setId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Updates a set's name, user and/or cases. The baseline is kept: cases are
+ * compared by caseId, so edited or new cases simply have no baseline result.
+ */
+export async function updateEvalSet(botId, setId, { name, cases, user }) {
+  const update = { updatedAt: new Date() };
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) throw new EvaluationError(400, "name must be a non-empty string");
+    update.name = name.trim();
+  }
+  if (cases !== undefined) {
+    const parsed = parseEvalCases(cases);
+    if (parsed.error) throw new EvaluationError(400, parsed.error);
+    update.cases = parsed.cases;
+  }
+  if (user !== undefined) update.user = evalUser(user);
+
+  const set = await evalSets().findOneAndUpdate(
+    { botId, setId },
+    { $set: update },
+    { returnDocument: "after", projection: { _id: 0 } }
+  );
+  if (!set) throw new EvaluationError(404, "Evaluation set not found");
+  return set;
+}
+
+/**
+ * Deletes a set with its runs. Returns false if it does not exist.
+ */
+export async function deleteEvalSet(botId, setId) {
+  const result = await evalSets().deleteOne({ botId, setId });
+  if (!result.deletedCount) return false;
+  await evalRuns().deleteMany({ botId, setId });
+  return true;
+}
+
+/**
+ * Removes all evaluation sets and runs of a bot.
+ */
+export async function deleteBotEvaluations(botId) {
+  await evalSets().deleteMany({ botId });
+  await evalRuns().deleteMany({ botId });
+}
+
+/**
+ * Lists a set's runs, newest first (summaries only).
+ */
+export async function listEvalRuns(botId, setId, { limit = 20 } = {}) {
+  return evalRuns()
+    .find({ botId, setId }, { projection: { _id: 0, results: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+export async function getEvalRun(botId, setId, runId) {
+  return evalRuns().findOne({ botId, setId, runId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Makes a finished run the set's baseline; later runs are compared against it.
+ */
+export async function setEvalBaseline(botId, setId, runId) {
+  const run = await getEvalRun(botId, setId, runId);
+  if (!run) throw new EvaluationError(404, "Evaluation run not found");
+  if (run.status !== "completed") throw new EvaluationError(409, "Only a completed run can be the baseline");
+
+  const result = await evalSets().updateOne({ botId, setId }, { $set: { baselineRunId: runId, updatedAt: new Date() } });
+  if (!result.matchedCount) throw new EvaluationError(404, "Evaluation set not found");
+  return run;
+}
+
+/**
+ * Token-overlap F1 between an answer and the expected answer (0–1), ignoring
+ * case, stopwords and citation markers.
+ */
+export function answerSimilarity(answer, expected) {
+  const a = tokenizeForSearch(String(answer || "").replace(/\[\d+(?:\s*,\s*\d+)*\]/g, ""));
+  const b = tokenizeForSearch(expected);
+  if (!a.length || !b.length) return a.length === b.length ? 1 : 0;
+
+  const counts = new Map();
+  b.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+  let common = 0;
+  for (const t of a) {
+    if (counts.get(t) > 0) {
+      common++;
+      counts.set(t, counts.get(t) - 1);
+    }
+  }
+  if (!common) return 0;
+  const precision = common / a.length;
+  const recall = common / b.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Whether a proposed call matches an expected action: same method and the
+ * expected endpoint is the tool's path template, the called path or the tool name.
+ */
+function actionMatches(expected, call) {
+  return (
+    expected.method === call.method &&
+    [call.template, call.endpoint, call.tool].includes(expected.endpoint)
+  );
+}
+
+/**
+ * Scores one case from the turn's outcome.
+ */
+function scoreCase(testCase, turn, tools) {
+  const retrieved = [...new Set(turn.chunks.map((c) => c.fields?.filename).filter(Boolean))];
+  const calls = turn.trace
+    .filter((t) => t.dryRun)
+    .map((t) => ({ tool: t.tool, method: t.method, endpoint: t.endpoint, template: findTool(tools, t.tool)?.endpoint }));
+
+  const result = {
+    caseId: testCase.caseId,
+    question: testCase.question,
+    response: turn.response,
+    retrievedSources: retrieved,
+    citedSources: [...new Set(turn.sources.map((s) => s.filename))],
+    actions: calls.map(({ method, endpoint }) => ({ method, endpoint })),
+  };
+
+  if (testCase.expectedSources?.length) {
+    result.retrievalHit = testCase.expectedSources.some((f) => retrieved.includes(f));
+  }
+  if (testCase.expectedActions) {
+    // Every expected action was proposed, and nothing else
+    result.actionCorrect =
+      testCase.expectedActions.every((e) => calls.some((c) => actionMatches(e, c))) &&
+      calls.every((c) => testCase.expectedActions.some((e) => actionMatches(e, c)));
+  }
+  if (testCase.expectedAnswer !== undefined) {
+    result.answerSimilarity = Number(answerSimilarity(turn.response, testCase.expectedAnswer).toFixed(4));
+  }
+  return result;
+}
+
+/**
+ * Averages the per-case scores; a metric is null when no case measures it.
+ */
+function summarize(results) {
+  const mean = (values) => (values.length ? Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(4)) : null);
+  const measured = (field) => results.filter((r) => r[field] !== undefined).map((r) => Number(r[field]));
+
+  return {
+    cases: results.length,
+    errors: results.filter((r) => r.error).length,
+    retrievalHitRate: mean(measured("retrievalHit")),
+    actionAccuracy: mean(measured("actionCorrect")),
+    answerSimilarity: mean(measured("answerSimilarity")),
+    inputTokens: results.reduce((sum, r) => sum + (r.usage?.inputTokens || 0), 0),
+    outputTokens: results.reduce((sum, r) => sum + (r.usage?.outputTokens || 0), 0),
+  };
+}
+
+/**
+ * Compares a run with the baseline: metric deltas, plus the cases that got
+ * worse (lost a retrieval hit or a correct action, answer similarity dropped
+ * by more than SIMILARITY_REGRESSION, or started failing) or better.
+ */
+function compareRuns(summary, results, baseline) {
+  const before = new Map(baseline.results.map((r) => [r.caseId, r]));
+  const deltas = Object.fromEntries(
+    METRICS.map((m) => [
+      m,
+      summary[m] === null || baseline.summary[m] === null ? null : Number((summary[m] - baseline.summary[m]).toFixed(4)),
+    ])
+  );
+
+  const regressions = [];
+  const improvements = [];
+  for (const r of results) {
+    const b = before.get(r.caseId);
+    if (!b) continue;
+
+    const worse = [];
+    const better = [];
+    if (r.error && !b.error) worse.push("error");
+    if (b.error && !r.error) better.push("error");
+    for (const field of ["retrievalHit", "actionCorrect"]) {
+      if (b[field] === true && r[field] === false) worse.push(field);
+      if (b[field] === false && r[field] === true) better.push(field);
+    }
+    if (b.answerSimilarity !== undefined && r.answerSimilarity !== undefined) {
+      if (b.answerSimilarity - r.answerSimilarity > SIMILARITY_REGRESSION) worse.push("answerSimilarity");
+      if (r.answerSimilarity - b.answerSimilarity > SIMILARITY_REGRESSION) better.push("answerSimilarity");
+    }
+    if (worse.length) regressions.push({ caseId: r.caseId, metrics: worse });
+    if (better.length) improvements.push({ caseId: r.caseId, metrics: better });
+  }
+
+  return { baselineRunId: baseline.runId, deltas, regressions, improvements };
+}
+
+/**
+ * Creates the record of a run that is about to start.
+ */
+async function createRun(bot, set, startedBy) {
+  const run = {
+    runId: `evalrun-${crypto.randomUUID()}`,
+    setId: set.setId,
+    botId: bot.botId,
+    status: "queued",
+    startedBy: startedBy || null,
+    summary: null,
+    results: [],
+    comparison: null,
+    error: null,
+    createdAt: new Date(),
+    finishedAt: null,
+  };
+  await evalRuns().insertOne(run);
+  return run;
+}
+
+/**
+ * runEvaluation
+ * Asks every case of the set through evaluateTurn() (the /api/chat retrieval
+ * and generation path, with API calls recorded instead of run), scores it and
+ * stores the run with its summary and, when the set has a baseline, the
+ * comparison with it. Failed cases are recorded and don't stop the run.
+ *
+ * @param {object} bot
+ * @param {string} setId
+ * @param {object} [options]
+ * @param {string} [options.runId] - an already created run (see queueEvaluation)
+ * @param {string} [options.startedBy]
+ * @returns {Promise<object>} the finished run
+ */
+export async function runEvaluation(bot, setId, options = {}) {
+  const set = await getEvalSet(bot.botId, setId);
+  if (!set) throw new EvaluationError(404, "Evaluation set not found");
+
+  const runId = options.runId || (await createRun(bot, set, options.startedBy)).runId;
+  await evalRuns().updateOne(
+    { runId },
+    { $set: { status: "running", progress: { casesDone: 0, casesTotal: set.cases.length } } }
+  );
+  console.log(`🧪 Eval: Running ${set.cases.length} cases of "${set.name}" on bot ${bot.botId} (${runId})`);
+
+  const tools = getToolsForUser(bot, set.user);
+  const results = [];
+  for (const testCase of set.cases) {
+    try {
+      const turn = await evaluateTurn({ bot, user: set.user, message: testCase.question });
+      results.push({ ...scoreCase(testCase, turn, tools), usage: turn.usage });
+    } catch (err) {
+      console.error(`❌ Eval: Case ${testCase.caseId} failed:`, err.message);
+      results.push({ caseId: testCase.caseId, question: testCase.question, error: err.message });
+    }
+    await evalRuns().updateOne({ runId }, { $set: { "progress.casesDone": results.length } });
+  }
+
+  const summary = summarize(results);
+  const baseline = set.baselineRunId ? await getEvalRun(bot.botId, setId, set.baselineRunId) : null;
+  const comparison = baseline ? compareRuns(summary, results, baseline) : null;
+
+  await evalRuns().updateOne(
+    { runId },
+    { $set: { status: "completed", summary, results, comparison, finishedAt: new Date() } }
+  );
+  console.log(`✅ Eval: Run ${runId} finished ${JSON.stringify(summary)}`);
+  return getEvalRun(bot.botId, setId, runId);
+}
+
+/**
+ * Queues an evaluation run as a background "eval" job; the run record is
+ * created right away so it can be polled.
+ * @returns {Promise<{ run: object, job: object }>}
+ */
+export async function queueEvaluation(bot, setId, startedBy) {
+  const set = await getEvalSet(bot.botId, setId);
+  if (!set) throw new EvaluationError(404, "Evaluation set not found");
+
+  const run = await createRun(bot, set, startedBy);
+  // Not retried: a partial rerun would spend the tokens a second time
+  const job = await enqueueJob("eval", { botId: bot.botId, payload: { setId, runId: run.runId }, maxAttempts: 1 });
+  const { _id, ...view } = run;
+  return { run: view, job };
+}
+
+registerJobHandler("eval", async (job, { progress }) => {
+  const bot = await getDB().collection("bots").findOne({ botId: job.botId });
+  if (!bot) throw new PermanentJobError(`Bot ${job.botId} no longer exists`);
+
+  const { setId, runId } = job.payload;
+  try {
+    await progress({ stage: "evaluating" });
+    const run = await runEvaluation(bot, setId, { runId });
+    return { runId, summary: run.summary };
+  } catch (err) {
+    await evalRuns().updateOne({ runId }, { $set: { status: "failed", error: err.message, finishedAt: new Date() } });
+    if (err instanceof EvaluationError) throw new PermanentJobError(err.message);
+    throw err;
+  }
+});
@@ -0,0 +1,89 @@
+// src/services/extractors/csv.js
+import { looksLikeText, decodeText } from "./text.js";
+
+const QUESTION_HEADERS = /^(q|question|questions|faq|prompt|query)$/i;
+const ANSWER_HEADERS = /^(a|answer|answers|response|reply)$/i;
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Detects "," vs ";" vs tab from the first line.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf("\n") === -1 ? text.length : text.indexOf("\n"));
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+/**
+ * CSV extractor. FAQ sheets (a question and an answer column) become
+ * "Q: … / A: …" pairs, one block per row; other sheets become one
+ * "column: value" block per row.
+ */
+export const csvExtractor = {
+  name: "csv",
+  extensions: [".csv", ".tsv"],
+  mimeTypes: ["text/csv", "text/tab-separated-values", "application/csv"],
+  matchesSignature: looksLikeText,
+
+  async extract(buffer) {
+    const [header = [], ...rows] = parseCsv(decodeText(buffer));
+    const columns = header.map((h) => h.trim());
+
+    const qIdx = columns.findIndex((c) => QUESTION_HEADERS.test(c));
+    const aIdx = columns.findIndex((c) => ANSWER_HEADERS.test(c));
+
+    const blocks = rows.map((cells) => {
+      if (qIdx !== -1 && aIdx !== -1) {
+        return `Q: ${cells[qIdx]?.trim() || ""}\nA: ${cells[aIdx]?.trim() || ""}`;
+      }
+      return columns
+        .map((c, i) => (cells[i]?.trim() ? `${c || `column ${i + 1}`}: ${cells[i].trim()}` : null))
+        .filter(Boolean)
+        .join("\n");
+    });
+
+    return { text: blocks.filter(Boolean).join("\n\n") };
+  },
+};
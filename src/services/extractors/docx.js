@@ -0,0 +1,22 @@
+// src/services/extractors/docx.js
+import mammoth from "mammoth";
+import { htmlToText } from "./html.js";
+
+/**
+ * DOCX extractor. Converts the document to HTML with mammoth (which maps
+ * Word heading styles to <h1>–<h6>) and reuses the HTML structure handling.
+ */
+export const docxExtractor = {
+  name: "docx",
+  extensions: [".docx"],
+  mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+
+  // DOCX is a ZIP container: "PK\x03\x04"
+  matchesSignature: (buffer) =>
+    buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04,
+
+  async extract(buffer) {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    return { text: htmlToText(html) };
+  },
+};
@@ -0,0 +1,58 @@
+// src/services/extractors/html.js
+import { looksLikeText, decodeText } from "./text.js";
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out-of-range code points would make fromCodePoint throw
+      return Number.isFinite(n) && n <= 0x10ffff ? String.fromCodePoint(n) : "\ufffd";
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Converts HTML to plain text while keeping structure: <h1>–<h6> become
+ * Markdown "#" headings, list items become "- " lines, and block elements
+ * become line breaks.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => {
+      const title = inner.replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim();
+      return title ? `\n\n${"#".repeat(Number(level))} ${title}\n\n` : "";
+    })
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<(td|th)\b[^>]*>/gi, " | ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|ul|ol|table|tr|blockquote|pre|header|footer|main)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * HTML extractor (e.g. help-center exports).
+ */
+export const htmlExtractor = {
+  name: "html",
+  extensions: [".html", ".htm"],
+  mimeTypes: ["text/html", "application/xhtml+xml"],
+  matchesSignature: (buffer) => looksLikeText(buffer) && /<[a-z!]/i.test(buffer.subarray(0, 4096).toString("utf8")),
+
+  async extract(buffer) {
+    return { text: htmlToText(decodeText(buffer)) };
+  },
+};
@@ -0,0 +1,81 @@
+// src/services/extractors/index.js
+import path from "path";
+import { pdfExtractor } from "./pdf.js";
+import { docxExtractor } from "./docx.js";
+import { htmlExtractor } from "./html.js";
+import { markdownExtractor } from "./markdown.js";
+import { csvExtractor } from "./csv.js";
+import { textExtractor } from "./text.js";
+
+/**
+ * @typedef {object} ExtractionResult
+ * @property {string} text - normalized text; headings are Markdown "#" lines
+ * @property {Array<{ num: number, text: string }>} [pages] - per-page text when the format has pages
+ *
+ * @typedef {object} Extractor
+ * @property {string} name
+ * @property {string[]} extensions - lowercase, with leading dot
+ * @property {string[]} mimeTypes
+ * @property {(buffer: Buffer) => boolean} matchesSignature - magic bytes / content sniffing
+ * @property {(buffer: Buffer) => Promise<ExtractionResult>} extract
+ */
+
+/** @type {Extractor[]} */
+const extractors = [];
+
+/**
+ * Registers an extractor. Later registrations win for the same extension or MIME type.
+ * @param {Extractor} extractor
+ */
+export function registerExtractor(extractor) {
+  extractors.unshift(extractor);
+}
+
+[textExtractor, csvExtractor, markdownExtractor, htmlExtractor, docxExtractor, pdfExtractor].forEach(
+  registerExtractor
+);
+
+/**
+ * Finds the extractor for an uploaded file. The extension decides first,
+ * since browsers often send a generic MIME type; the MIME type is the fallback.
+ *
+ * @param {{ originalname: string, mimetype?: string }} file
+ * @returns {Extractor|null}
+ */
+export function findExtractor(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  const mime = (file.mimetype || "").split(";")[0].trim().toLowerCase();
+
+  return (
+    extractors.find((e) => ext && e.extensions.includes(ext)) ||
+    extractors.find((e) => mime && e.mimeTypes.includes(mime)) ||
+    null
+  );
+}
+
+/**
+ * All extensions accepted for knowledge base uploads.
+ */
+export function supportedExtensions() {
+  return [...new Set(extractors.flatMap((e) => e.extensions))];
+}
+
+/**
+ * Extracts text from an uploaded file (multer memory-storage file object).
+ * Throws if the type is unsupported or the content does not match it.
+ *
+ * @param {{ originalname: string, mimetype?: string, buffer: Buffer }} file
+ * @returns {Promise<ExtractionResult & { format: string }>}
+ */
+export async function extractText(file) {
+  const extractor = findExtractor(file);
+  if (!extractor) {
+    throw new Error(`Unsupported file type: ${file.originalname}`);
+  }
+  if (!extractor.matchesSignature(file.buffer)) {
+    throw new Error(`File content does not match its type (${extractor.name}): ${file.originalname}`);
+  }
+
+  const result = await extractor.extract(file.buffer);
+  return { ...result, text: result.text?.trim() || "", format: extractor.name };
+}
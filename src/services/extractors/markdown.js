@@ -0,0 +1,24 @@
+// src/services/extractors/markdown.js
+import { looksLikeText, decodeText } from "./text.js";
+
+/**
+ * Markdown extractor. Markdown is already the normalized output format
+ * (ATX "#" headings), so it only converts setext headings and strips
+ * front matter and HTML comments.
+ */
+export const markdownExtractor = {
+  name: "markdown",
+  extensions: [".md", ".markdown"],
+  mimeTypes: ["text/markdown", "text/x-markdown"],
+  matchesSignature: looksLikeText,
+
+  async extract(buffer) {
+    const text = decodeText(buffer)
+      .replace(/^---\n[\s\S]*?\n---\n/, "") // YAML front matter
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/^(.+)\n=+[ \t]*$/gm, "# $1") // setext h1
+      .replace(/^(.+)\n-+[ \t]*$/gm, "## $1"); // setext h2
+
+    return { text: text.trim() };
+  },
+};
@@ -0,0 +1,27 @@
+// src/services/extractors/pdf.js
+import { PDFParse } from "pdf-parse";
+
+/**
+ * PDF extractor. Keeps per-page text so chunks can carry page numbers.
+ */
+export const pdfExtractor = {
+  name: "pdf",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+
+  // "%PDF-"
+  matchesSignature: (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-",
+
+  async extract(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const textResult = await parser.getText();
+      return {
+        text: textResult.text?.trim() || "",
+        pages: (textResult.pages || []).map((p) => ({ num: p.num, text: p.text })),
+      };
+    } finally {
+      await parser.destroy();
+    }
+  },
+};
@@ -0,0 +1,40 @@
+// src/services/extractors/text.js
+
+/**
+ * True when the buffer looks like UTF-8 text: no NUL bytes and decodes cleanly.
+ * Used as the "magic bytes" check for formats that have no real signature.
+ */
+export function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+
+  try {
+    // A multi-byte sequence may be cut at the sample boundary, so only
+    // decode strictly when the whole file fits in the sample.
+    new TextDecoder("utf-8", { fatal: buffer.length <= sample.length }).decode(sample);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decodes a text buffer, dropping a leading BOM and normalizing line endings.
+ */
+export function decodeText(buffer) {
+  return buffer.toString("utf8").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
+
+/**
+ * Plain text extractor.
+ */
+export const textExtractor = {
+  name: "text",
+  extensions: [".txt", ".text"],
+  mimeTypes: ["text/plain"],
+  matchesSignature: looksLikeText,
+
+  async extract(buffer) {
+    return { text: decodeText(buffer).trim() };
+  },
+};
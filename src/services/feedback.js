@@ -0,0 +1,206 @@
+// src/services/feedback.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+import { findMessage } from "./conversations.js";
+import { getIndexedChunks } from "./lexicalIndex.js";
+import { createQaOverride } from "./qaOverrides.js";
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const FEEDBACK_CATEGORIES = ["incorrect", "incomplete", "outdated", "irrelevant", "harmful", "other"];
+// "open" until a bot editor resolves it (e.g. with a Q&A override) or dismisses it
+export const FEEDBACK_STATUSES = ["open", "resolved", "dismissed"];
+
+const FEEDBACK_COMMENT_MAX_CHARS = 2000;
+// Characters of each retrieved chunk kept with the feedback
+const FEEDBACK_CHUNK_MAX_CHARS = 1000;
+
+/**
+ * Feedback on chat answers, one per user and message. Each entry keeps a copy
+ * of what was rated, so it stays reviewable after the conversation is deleted
+ * or the knowledge base re-ingested:
+ * { feedbackId, botId, messageId, conversationId, userSub, rating, category,
+ *   comment, prompt, answer, sources, retrievedChunks: [{ chunkId, filename, text }],
+ *   status, overrideId, reviewedBy, reviewedAt, createdAt, updatedAt }
+ */
+function feedbackEntries() {
+  return getDB().collection("feedback");
+}
+
+/**
+ * Error raised by feedback operations, with the HTTP status the route should return.
+ */
+export class FeedbackError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "FeedbackError";
+    this.status = status;
+  }
+}
+
+/**
+ * Creates the lookup indexes. Called once at startup.
+ */
+export async function ensureFeedbackIndexes() {
+  await feedbackEntries().createIndex({ botId: 1, messageId: 1, userSub: 1 }, { unique: true });
+  await feedbackEntries().createIndex({ botId: 1, status: 1, createdAt: -1 });
+}
+
+/**
+ * Validates a feedback body: `rating` (up | down), optional `category` and `comment`.
+ * @returns {{ feedback?: object, error?: string }}
+ */
+export function parseFeedback({ rating, category, comment } = {}) {
+  if (!FEEDBACK_RATINGS.includes(rating)) return { error: `rating must be one of ${FEEDBACK_RATINGS.join(", ")}` };
+  if (category !== undefined && category !== null && !FEEDBACK_CATEGORIES.includes(category))
+    return { error: `category must be one of ${FEEDBACK_CATEGORIES.join(", ")}` };
+  if (comment !== undefined && comment !== null && typeof comment !== "string") return { error: "comment must be a string" };
+  if (comment?.length > FEEDBACK_COMMENT_MAX_CHARS)
+    return { error: `comment can be at most ${FEEDBACK_COMMENT_MAX_CHARS} characters` };
+
+  return { feedback: { rating, category: category || null, comment: comment?.trim() || null } };
+}
+
+/**
+ * The retrieved chunks of an answer, with their text as it is indexed now.
+ * Curated overrides aren't indexed and are kept by ID only.
+ */
+async function snapshotChunks(botId, chunkIds = []) {
+  const indexed = new Map((await getIndexedChunks(botId, chunkIds)).map((c) => [c.chunkId, c]));
+  return chunkIds.map((chunkId) => {
+    const chunk = indexed.get(chunkId);
+    if (!chunk) return { chunkId };
+    return {
+      chunkId,
+      filename: chunk.fields?.filename || "unknown",
+      ...(chunk.fields?.page !== undefined && { page: chunk.fields.page }),
+      ...(chunk.fields?.section && { section: chunk.fields.section }),
+      text: String(chunk.text || "").slice(0, FEEDBACK_CHUNK_MAX_CHARS),
+    };
+  });
+}
+
+/**
+ * submitFeedback
+ * Rates one of the user's chat answers. Rating the same answer again replaces
+ * the earlier rating and reopens it for review.
+ *
+ * @param {object} params
+ * @param {object} params.bot
+ * @param {{ sub?: string }|null} params.user
+ * @param {string} params.messageId - as returned by the chat endpoints
+ * @param {object} params.body - { rating, category?, comment? }
+ * @returns {Promise<object>} the stored feedback
+ */
+export async function submitFeedback({ bot, user, messageId, body }) {
+  const { feedback, error } = parseFeedback(body);
+  if (error) throw new FeedbackError(400, error);
+
+  const found = await findMessage(bot.botId, user?.sub, messageId);
+  if (!found) throw new FeedbackError(404, "Message not found");
+  if (found.message.role !== "assistant") throw new FeedbackError(400, "Only answers can be rated");
+
+  const now = new Date();
+  const entry = await feedbackEntries().findOneAndUpdate(
+    { botId: bot.botId, messageId, userSub: user?.sub ?? null },
+    {
+      $set: { ...feedback, status: "open", updatedAt: now },
+      $setOnInsert: {
+        feedbackId: `fb-${crypto.randomUUID()}`,
+        conversationId: found.conversation.conversationId,
+        prompt: found.prompt?.content || "",
+        answer: found.message.content,
+        sources: found.message.sources || [],
+        retrievedChunks: await snapshotChunks(bot.botId, found.message.retrievedChunkIds),
+        overrideId: null,
+        createdAt: now,
+      },
+    },
+    { upsert: true, returnDocument: "after", projection: { _id: 0 } }
+  );
+
+  console.log(`📝 Feedback: ${user?.sub || "anonymous"} rated ${messageId} "${feedback.rating}" on bot ${bot.botId}`);
+  return entry;
+}
+
+/**
+ * Lists a bot's feedback, newest first.
+ *
+ * @param {string} botId
+ * @param {object} [options] - rating, category, status filters; page / limit
+ * @returns {Promise<{ feedback: object[], page: number, limit: number, total: number }>}
+ */
+export async function listFeedback(botId, { rating, category, status, page = 1, limit = 50 } = {}) {
+  const query = { botId };
+  if (rating) query.rating = rating;
+  if (category) query.category = category;
+  if (status) query.status = status;
+
+  const [feedback, total] = await Promise.all([
+    feedbackEntries()
+      .find(query, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    feedbackEntries().countDocuments(query),
+  ]);
+  return { feedback, page, limit, total };
+}
+
+export async function getFeedback(botId, feedbackId) {
+  return feedbackEntries().findOne({ botId, feedbackId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Sets the review status of a feedback entry.
+ */
+export async function setFeedbackStatus(botId, feedbackId, status, reviewedBy) {
+  if (!FEEDBACK_STATUSES.includes(status))
+    throw new FeedbackError(400, `status must be one of ${FEEDBACK_STATUSES.join(", ")}`);
+
+  const entry = await feedbackEntries().findOneAndUpdate(
+    { botId, feedbackId },
+    { $set: { status, reviewedBy: reviewedBy || null, reviewedAt: new Date(), updatedAt: new Date() } },
+    { returnDocument: "after", projection: { _id: 0 } }
+  );
+  if (!entry) throw new FeedbackError(404, "Feedback not found");
+  return entry;
+}
+
+/**
+ * promoteFeedback
+ * Turns a corrected answer into a curated Q&A override and resolves the
+ * feedback. The question defaults to the prompt that was rated.
+ *
+ * @param {string} botId
+ * @param {string} feedbackId
+ * @param {object} body - { answer, question?, variants? }
+ * @param {string} [reviewedBy]
+ * @returns {Promise<{ feedback: object, override: object }>}
+ */
+export async function promoteFeedback(botId, feedbackId, body, reviewedBy) {
+  const entry = await getFeedback(botId, feedbackId);
+  if (!entry) throw new FeedbackError(404, "Feedback not found");
+  if (entry.overrideId) throw new FeedbackError(409, `Feedback was already promoted to ${entry.overrideId}`);
+
+  const override = await createQaOverride(
+    botId,
+    { question: body?.question ?? entry.prompt, variants: body?.variants, answer: body?.answer },
+    { createdBy: reviewedBy, feedbackId }
+  );
+
+  const now = new Date();
+  const feedback = await feedbackEntries().findOneAndUpdate(
+    { botId, feedbackId },
+    { $set: { status: "resolved", overrideId: override.overrideId, reviewedBy: reviewedBy || null, reviewedAt: now, updatedAt: now } },
+    { returnDocument: "after", projection: { _id: 0 } }
+  );
+  return { feedback, override };
+}
+
+/**
+ * Removes all feedback of a bot.
+ */
+export async function deleteBotFeedback(botId) {
+  await feedbackEntries().deleteMany({ botId });
+}
@@ -0,0 +1,221 @@
+// src/services/ingestion.js
+import { getDB } from "../config/db.js";
+import { extractText } from "./extractors/index.js";
+import { processDocument } from "./rag.js";
+import { deleteEmbeddings } from "./vectorStore.js";
+import {
+  hashFile,
+  newDocumentId,
+  getDocument,
+  findDocumentByFilename,
+  saveDocument,
+} from "./documents.js";
+import { enqueueJob, registerJobHandler, PermanentJobError } from "./jobs.js";
+import { invalidateBotCache } from "../utils/cache.js";
+import { getChunkingSettings } from "./chunking/index.js";
+
+/**
+ * Error raised while ingesting a knowledge base file, with the HTTP status
+ * the route should return.
+ */
+export class IngestionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "IngestionError";
+    this.status = status;
+  }
+}
+
+// Whether a document was chunked with these settings (older records carry none)
+function sameChunking(a, b) {
+  return !!a && a.strategy === b.strategy && a.maxTokens === b.maxTokens && a.overlapTokens === b.overlapTokens;
+}
+
+async function setEmbeddingStatus(botId, embeddingStatus) {
+  await getDB()
+    .collection("bots")
+    .updateOne({ botId }, { $set: { embeddingStatus, updatedAt: new Date() } });
+}
+
+/**
+ * ingestKnowledgeBase
+ * The one extraction + ingestion pipeline shared by every upload path:
+ * extracts text with the registered extractor for the file's type, chunks and
+ * upserts it, records it in the `documents` collection and keeps the bot's
+ * embeddingStatus in sync.
+ *
+ * Replace semantics: a file with the same name as an existing document (or an
+ * explicit `docId`) replaces that document — new chunks are written first,
+ * then the old ones are deleted. Re-uploading identical content is a no-op,
+ * unless the bot's chunking settings changed since it was ingested.
+ *
+ * @param {string} botId
+ * @param {{ originalname: string, mimetype?: string, size?: number, buffer: Buffer }} file - multer file
+ * @param {object} [options]
+ * @param {string} [options.docId] - replace this document regardless of filename
+ * @param {string} [options.newDocId] - ID to use if a new document is created (lets retries reuse it)
+ * @param {object} [options.chunking] - the bot's chunking settings (see getChunkingSettings)
+ * @param {boolean} [options.finalAttempt=true] - false when a failed embedding will be retried,
+ *   which leaves embeddingStatus "pending" instead of "failed"
+ * @param {(progress: { stage?: string, chunksProcessed?: number, chunksTotal?: number }) => any} [options.onProgress]
+ * @returns {Promise<{ docId: string, status: "created"|"replaced"|"unchanged", format?: string, characters?: number, chunks: number }>}
+ * @throws {IngestionError}
+ */
+export async function ingestKnowledgeBase(botId, file, options = {}) {
+  const filename = file.originalname;
+  const hash = hashFile(file.buffer);
+  const chunking = options.chunking || getChunkingSettings();
+
+  let existing = null;
+  if (options.docId) {
+    existing = await getDocument(botId, options.docId);
+    if (!existing) throw new IngestionError(404, "Document not found");
+  } else {
+    existing = await findDocumentByFilename(botId, filename);
+  }
+
+  if (existing && existing.hash === hash && sameChunking(existing.chunking, chunking)) {
+    console.log(`⏭️ Ingestion: ${filename} is unchanged for bot ${botId} — skipping`);
+    await setEmbeddingStatus(botId, "complete");
+    return { docId: existing.docId, status: "unchanged", chunks: existing.chunkIds.length };
+  }
+
+  const report = async (progress) => options.onProgress?.(progress);
+
+  let extracted;
+  try {
+    await report({ stage: "extracting" });
+    extracted = await extractText(file);
+  } catch (err) {
+    await setEmbeddingStatus(botId, "failed");
+    console.error(`❌ Ingestion: Extraction failed for ${filename}:`, err.message);
+    throw new IngestionError(400, err.message);
+  }
+
+  if (!extracted.text) {
+    await setEmbeddingStatus(botId, "failed");
+    console.error(`❌ Ingestion: No text found in ${filename}`);
+    throw new IngestionError(400, `Failed to extract text from ${filename}`);
+  }
+
+  console.log(`📄 Ingestion: Extracted ${extracted.text.length} characters from ${filename} (${extracted.format})`);
+
+  await setEmbeddingStatus(botId, "pending");
+
+  const docId = existing?.docId || options.newDocId || newDocumentId();
+  const version = (existing?.version || 0) + 1;
+
+  let chunkIds;
+  try {
+    await report({ stage: "embedding" });
+    chunkIds = await processDocument(botId, extracted.text, filename, {
+      docId,
+      pages: extracted.pages,
+      chunking,
+      idPrefix: `${botId}_${docId}_v${version}`,
+      onProgress: report,
+    });
+  } catch (err) {
+    // The job runner retries this; the bot stays "pending" until the last attempt
+    if (options.finalAttempt !== false) await setEmbeddingStatus(botId, "failed");
+    console.error(`❌ Ingestion: Vector store ingestion failed for bot ${botId}`);
+    throw new IngestionError(502, `Document processing failed: ${err.message}`);
+  }
+  if (!chunkIds) {
+    await setEmbeddingStatus(botId, "failed");
+    throw new IngestionError(400, `No content to index in ${filename}`);
+  }
+
+  await report({ stage: "finalizing" });
+  await saveDocument({
+    docId,
+    botId,
+    filename,
+    hash,
+    size: file.size ?? file.buffer.length,
+    mimetype: file.mimetype || null,
+    format: extracted.format,
+    chunkIds,
+    chunking,
+    version,
+  });
+
+  // Swap out the previous version's chunks only once the new ones are in
+  if (existing?.chunkIds?.length) {
+    await deleteEmbeddings(botId, existing.chunkIds);
+    console.log(`🔁 Ingestion: Replaced ${existing.chunkIds.length} old chunks of ${filename}`);
+  }
+
+  await setEmbeddingStatus(botId, "complete");
+  await invalidateBotCache(botId, `${filename} ${existing ? "replaced" : "added"}`);
+  return {
+    docId,
+    status: existing ? "replaced" : "created",
+    format: extracted.format,
+    characters: extracted.text.length,
+    chunks: chunkIds.length,
+  };
+}
+
+/**
+ * queueIngestion
+ * Stores the uploaded file in a background "ingest" job and returns the job
+ * right away; progress is available through GET /api/jobs/:jobId.
+ *
+ * @param {string} botId
+ * @param {{ originalname: string, mimetype?: string, size?: number, buffer: Buffer }} file - multer file
+ * @param {{ docId?: string }} [options] - replace this document regardless of filename
+ * @returns {Promise<object>} the queued job
+ */
+export async function queueIngestion(botId, file, options = {}) {
+  const job = await enqueueJob("ingest", {
+    botId,
+    payload: {
+      filename: file.originalname,
+      mimetype: file.mimetype || null,
+      size: file.size ?? file.buffer.length,
+      data: file.buffer,
+      docId: options.docId || null,
+      newDocId: newDocumentId(),
+    },
+  });
+
+  await getDB()
+    .collection("bots")
+    .updateOne(
+      { botId },
+      { $set: { embeddingStatus: "pending", lastIngestJobId: job.jobId, updatedAt: new Date() } }
+    );
+
+  return job;
+}
+
+registerJobHandler("ingest", async (job, { progress }) => {
+  const bot = await getDB().collection("bots").findOne({ botId: job.botId });
+  if (!bot || bot.deleting) throw new PermanentJobError(`Bot ${job.botId} no longer exists`);
+
+  const { filename, mimetype, size, data, docId, newDocId } = job.payload;
+  const file = {
+    originalname: filename,
+    mimetype,
+    size,
+    buffer: Buffer.isBuffer(data) ? data : Buffer.from(data.buffer),
+  };
+
+  try {
+    return await ingestKnowledgeBase(job.botId, file, {
+      ...(docId && { docId }),
+      newDocId,
+      chunking: getChunkingSettings(bot),
+      finalAttempt: job.attempts >= job.maxAttempts,
+      onProgress: progress,
+    });
+  } catch (err) {
+    // Client-side problems (bad file, missing document) will not fix themselves
+    if (err instanceof IngestionError && err.status < 500) throw new PermanentJobError(err.message);
+    throw err;
+  }
+}, {
+  // Out of attempts, whatever failed (including a worker that died mid-job)
+  onFailed: (job) => setEmbeddingStatus(job.botId, "failed"),
+});
@@ -0,0 +1,247 @@
+// src/services/jobs.js
+import os from "os";
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+// A running job whose lock expires (worker crashed or restarted) is picked up again
+const LOCK_MS = parseInt(process.env.JOB_LOCK_MS) || 60 * 1000;
+const RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+/** @type {Record<string, (job: object, ctx: { progress: Function }) => Promise<any>>} */
+const handlers = {};
+/** @type {Record<string, (job: object, error: { message: string }) => Promise<any>>} */
+const failureHooks = {};
+
+let started = false;
+let timer = null;
+let busy = false;
+
+function jobs() {
+  return getDB().collection("jobs");
+}
+
+/**
+ * Error that marks a job as failed without further attempts (e.g. bad input).
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermanentJobError";
+  }
+}
+
+/**
+ * Registers the handler for a job type. The handler receives the job document
+ * and a context whose `progress(fields)` records stage / counters on the job.
+ * `onFailed(job, error)` runs once the job has failed for good, including when
+ * it is given up without running (its worker died on the last attempt).
+ */
+export function registerJobHandler(type, handler, { onFailed } = {}) {
+  handlers[type] = handler;
+  if (onFailed) failureHooks[type] = onFailed;
+}
+
+/**
+ * Queues a job and returns its public view right away.
+ * @param {string} type
+ * @param {{ botId?: string, payload?: object, maxAttempts?: number }} options
+ */
+export async function enqueueJob(type, { botId, payload = {}, maxAttempts = 3 } = {}) {
+  const now = new Date();
+  const job = {
+    jobId: `job-${crypto.randomUUID()}`,
+    type,
+    botId: botId || null,
+    status: "queued",
+    stage: "queued",
+    progress: { chunksProcessed: 0, chunksTotal: null },
+    attempts: 0,
+    maxAttempts,
+    error: null,
+    result: null,
+    payload,
+    runAfter: now,
+    lockedBy: null,
+    lockedUntil: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await jobs().insertOne(job);
+  console.log(`🧾 Jobs: Queued ${type} job ${job.jobId}${botId ? ` for bot ${botId}` : ""}`);
+  wakeRunner();
+  return toPublicJob(job);
+}
+
+/**
+ * Public view of a job (no payload, no lock bookkeeping).
+ */
+function toPublicJob(job) {
+  if (!job) return null;
+  const { _id, payload, lockedBy, lockedUntil, runAfter, ...rest } = job;
+  return rest;
+}
+
+export async function getJob(jobId) {
+  return toPublicJob(await jobs().findOne({ jobId }));
+}
+
+/**
+ * Cancels a bot's jobs that have not started yet. Returns the number cancelled.
+ */
+export async function cancelBotJobs(botId) {
+  const result = await jobs().updateMany(
+    { botId, status: "queued" },
+    {
+      $set: { status: "cancelled", finishedAt: new Date(), updatedAt: new Date() },
+      $unset: { "payload.data": "" },
+    }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Atomically claims the oldest runnable job: a queued job that is due, or a
+ * running job whose worker lost its lock.
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return jobs().findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAfter: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+        updatedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, returnDocument: "after" }
+  );
+}
+
+async function finishJob(job, fields) {
+  await jobs().updateOne(
+    { jobId: job.jobId },
+    {
+      $set: { ...fields, lockedBy: null, lockedUntil: null, updatedAt: new Date() },
+      // The uploaded file is no longer needed once the job is settled
+      ...(fields.status !== "queued" && { $unset: { "payload.data": "" } }),
+    }
+  );
+}
+
+/**
+ * Marks a job as failed for good and lets its type clean up.
+ */
+async function failJob(job, error) {
+  await finishJob(job, { status: "failed", error, finishedAt: new Date() });
+  try {
+    await failureHooks[job.type]?.(job, error);
+  } catch (err) {
+    console.error(`⚠️ Jobs: Failure hook of ${job.type} job ${job.jobId} failed:`, err.message);
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    await finishJob(job, {
+      status: "failed",
+      error: { message: `No handler for job type "${job.type}"`, stage: job.stage, at: new Date() },
+      finishedAt: new Date(),
+    });
+    return;
+  }
+
+  if (job.attempts > job.maxAttempts) {
+    await failJob(job, { message: "Exceeded maximum attempts", stage: job.stage, at: new Date() });
+    return;
+  }
+
+  // Keep the lock alive while the handler runs
+  const heartbeat = setInterval(() => {
+    jobs()
+      .updateOne(
+        { jobId: job.jobId, lockedBy: WORKER_ID },
+        { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+      )
+      .catch((err) => console.error("⚠️ Jobs: Heartbeat failed:", err.message));
+  }, LOCK_MS / 3);
+
+  let stage = job.stage;
+  const progress = async ({ stage: nextStage, chunksProcessed, chunksTotal }) => {
+    const $set = { updatedAt: new Date() };
+    if (nextStage) $set.stage = stage = nextStage;
+    if (chunksProcessed !== undefined) $set["progress.chunksProcessed"] = chunksProcessed;
+    if (chunksTotal !== undefined) $set["progress.chunksTotal"] = chunksTotal;
+    await jobs().updateOne({ jobId: job.jobId }, { $set });
+  };
+
+  try {
+    console.log(`▶️ Jobs: Running ${job.type} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+    const result = await handler(job, { progress });
+
+    await finishJob(job, { status: "completed", stage: "done", result: result ?? null, error: null, finishedAt: new Date() });
+    console.log(`✅ Jobs: Completed ${job.type} job ${job.jobId}`);
+  } catch (err) {
+    const error = { message: err.message, stage, at: new Date() };
+    const retry = !(err instanceof PermanentJobError) && job.attempts < job.maxAttempts;
+
+    if (retry) {
+      const delay = RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+      await finishJob(job, { status: "queued", error, runAfter: new Date(Date.now() + delay) });
+      console.warn(`⚠️ Jobs: ${job.type} job ${job.jobId} failed at ${stage}, retrying in ${delay}ms: ${err.message}`);
+    } else {
+      await failJob(job, error);
+      console.error(`❌ Jobs: ${job.type} job ${job.jobId} failed at ${stage}: ${err.message}`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Drains all runnable jobs one at a time, then schedules the next poll.
+ */
+async function tick() {
+  if (busy) return;
+  busy = true;
+  clearTimeout(timer);
+
+  try {
+    let job;
+    while (started && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("❌ Jobs: Runner error:", err);
+  } finally {
+    busy = false;
+    if (started) timer = setTimeout(tick, POLL_INTERVAL_MS);
+  }
+}
+
+function wakeRunner() {
+  if (started && !busy) setImmediate(tick);
+}
+
+/**
+ * Starts the background job runner. Queued jobs (and jobs left running by a
+ * previous process) are stored in MongoDB, so nothing is lost across restarts.
+ */
+export function startJobRunner() {
+  if (started) return;
+  started = true;
+  console.log(`🏃 Jobs: Runner started (${WORKER_ID})`);
+  tick();
+}
@@ -0,0 +1,173 @@
+// src/services/lexicalIndex.js
+import { getDB } from "../config/db.js";
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Upper bound on chunks scored per query
+const LEXICAL_MAX_CANDIDATES = parseInt(process.env.LEXICAL_MAX_CANDIDATES) || 2000;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can could do does for from had has have how i if in into is it its me my no not of on or " +
+    "our please so that the their them then there these they this to was we were what when where which who why will with would you your")
+    .split(" ")
+);
+
+/**
+ * Chunk texts with their term frequencies, one document per chunk, kept next to
+ * the vector store so keyword queries (SKUs, error codes) can be answered:
+ * { botId, chunkId, text, fields, terms: [...], tf: [[term, count]], length }
+ */
+function lexicalChunks() {
+  return getDB().collection("lexical_chunks");
+}
+
+// Per-bot totals for BM25: { botId, chunks, totalLength }
+function lexicalStats() {
+  return getDB().collection("lexical_stats");
+}
+
+/**
+ * Splits text into lowercase search terms. Codes such as "ERR-1042" or
+ * "sku_88.b" are kept whole and also split into their parts; stopwords are dropped.
+ * @returns {string[]}
+ */
+export function tokenizeForSearch(text) {
+  const terms = [];
+  for (const word of String(text || "").toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || []) {
+    const parts = word.split(/[-_./]/);
+    if (parts.length > 1) terms.push(word);
+    terms.push(...parts.filter((p) => !STOPWORDS.has(p)));
+  }
+  return terms;
+}
+
+function termFrequencies(terms) {
+  const tf = new Map();
+  terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+  return tf;
+}
+
+/**
+ * Creates the lookup indexes. Called once at startup.
+ */
+export async function ensureLexicalIndexes() {
+  await lexicalChunks().createIndex({ botId: 1, chunkId: 1 }, { unique: true });
+  await lexicalChunks().createIndex({ botId: 1, terms: 1 });
+  await lexicalStats().createIndex({ botId: 1 }, { unique: true });
+}
+
+/**
+ * Adds (or replaces) chunks in a bot's keyword index.
+ * @param {string} botId
+ * @param {import("./vectorStore.js").VectorItem[]} items
+ */
+export async function indexChunks(botId, items) {
+  if (!items?.length) return;
+
+  const previous = await lexicalChunks()
+    .find({ botId, chunkId: { $in: items.map((it) => it.id) } }, { projection: { _id: 0, length: 1 } })
+    .toArray();
+  let added = -previous.length;
+  let addedLength = -previous.reduce((sum, c) => sum + (c.length || 0), 0);
+
+  for (const it of items) {
+    const terms = tokenizeForSearch(it.text);
+    const tf = termFrequencies(terms);
+    const fields = { ...it.metadata };
+    delete fields.botId;
+
+    await lexicalChunks().replaceOne(
+      { botId, chunkId: it.id },
+      { botId, chunkId: it.id, text: it.text, fields, terms: [...tf.keys()], tf: [...tf.entries()], length: terms.length },
+      { upsert: true }
+    );
+    added++;
+    addedLength += terms.length;
+  }
+
+  await lexicalStats().updateOne(
+    { botId },
+    { $inc: { chunks: added, totalLength: addedLength } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Removes chunks from a bot's keyword index.
+ */
+export async function removeChunks(botId, ids) {
+  if (!ids?.length) return;
+
+  const existing = await lexicalChunks()
+    .find({ botId, chunkId: { $in: ids } }, { projection: { _id: 0, length: 1 } })
+    .toArray();
+  if (!existing.length) return;
+
+  await lexicalChunks().deleteMany({ botId, chunkId: { $in: ids } });
+  await lexicalStats().updateOne(
+    { botId },
+    { $inc: { chunks: -existing.length, totalLength: -existing.reduce((sum, c) => sum + (c.length || 0), 0) } }
+  );
+}
+
+/**
+ * Removes a bot's whole keyword index.
+ */
+export async function removeBotIndex(botId) {
+  await lexicalChunks().deleteMany({ botId });
+  await lexicalStats().deleteOne({ botId });
+}
+
+/**
+ * Loads indexed chunks by ID (text and metadata), e.g. to show what a past answer was based on.
+ * @returns {Promise<Array<{ chunkId: string, text: string, fields: object }>>}
+ */
+export async function getIndexedChunks(botId, ids) {
+  if (!ids?.length) return [];
+  return lexicalChunks()
+    .find({ botId, chunkId: { $in: ids } }, { projection: { _id: 0, chunkId: 1, text: 1, fields: 1 } })
+    .toArray();
+}
+
+/**
+ * BM25 keyword search over a bot's chunks.
+ * @returns {Promise<import("./vectorStore.js").VectorHit[]>} hits in the vector store's shape, best first
+ */
+export async function searchLexical(botId, queryText, topK) {
+  const queryTerms = [...new Set(tokenizeForSearch(queryText))];
+  if (!queryTerms.length) return [];
+
+  const [stats, candidates] = await Promise.all([
+    lexicalStats().findOne({ botId }),
+    lexicalChunks()
+      .find({ botId, terms: { $in: queryTerms } }, { projection: { _id: 0, chunkId: 1, text: 1, fields: 1, tf: 1, length: 1 } })
+      .limit(LEXICAL_MAX_CANDIDATES)
+      .toArray(),
+  ]);
+  if (!candidates.length) return [];
+
+  const totalChunks = Math.max(stats?.chunks || 0, candidates.length);
+  const avgLength = stats?.chunks > 0 ? stats.totalLength / stats.chunks : 1;
+  const frequencies = candidates.map((c) => new Map(c.tf));
+
+  // Document frequency of each query term among the matching chunks
+  const idf = new Map(
+    queryTerms.map((term) => {
+      const df = frequencies.filter((tf) => tf.has(term)).length;
+      return [term, Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5))];
+    })
+  );
+
+  return candidates
+    .map((c, i) => {
+      const norm = BM25_K1 * (1 - BM25_B + (BM25_B * (c.length || 0)) / avgLength);
+      const score = queryTerms.reduce((sum, term) => {
+        const freq = frequencies[i].get(term) || 0;
+        return sum + (freq ? (idf.get(term) * freq * (BM25_K1 + 1)) / (freq + norm) : 0);
+      }, 0);
+      return { id: c.chunkId, text: c.text, score, fields: { ...c.fields, text: c.text } };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
@@ -0,0 +1,73 @@
+// src/services/llm/gemini.js
+import { GoogleGenAI } from "@google/genai";
+
+/**
+ * Maps provider-neutral messages to Gemini `contents`.
+ */
+function toContents(messages) {
+  return messages.map((m) => ({
+    role: m.role === "assistant" ? "model" : "user",
+    parts: [{ text: m.content }],
+  }));
+}
+
+function toUsage(usageMetadata) {
+  return {
+    inputTokens: usageMetadata?.promptTokenCount || 0,
+    outputTokens: usageMetadata?.candidatesTokenCount || 0,
+  };
+}
+
+/**
+ * Gemini adapter (Google GenAI SDK).
+ * The client is created on first use so the server can boot without a key.
+ *
+ * @param {{ apiKey?: string }} [options]
+ * @returns {import("./index.js").LLMProvider}
+ */
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new GoogleGenAI({ apiKey });
+    return client;
+  };
+
+  const buildRequest = ({ model, system, messages, schema, temperature, signal }) => ({
+    model,
+    contents: toContents(messages),
+    config: {
+      ...(system && { systemInstruction: system }),
+      ...(schema && { responseMimeType: "application/json", responseSchema: schema }),
+      ...(temperature !== undefined && { temperature }),
+      ...(signal && { abortSignal: signal }),
+    },
+  });
+
+  return {
+    name: "gemini",
+    defaultModel: process.env.GEMINI_MODEL || "gemini-2.5-flash",
+
+    async generate(params) {
+      const response = await getClient().models.generateContent(buildRequest(params));
+      return {
+        text: response.response?.text || response.text || "",
+        usage: toUsage(response.usageMetadata),
+      };
+    },
+
+    async generateJSON(params) {
+      const { text, usage } = await this.generate(params);
+      return { data: JSON.parse(text), text, usage };
+    },
+
+    async *stream(params) {
+      const stream = await getClient().models.generateContentStream(buildRequest(params));
+      let usage = null;
+      for await (const chunk of stream) {
+        if (chunk.usageMetadata) usage = toUsage(chunk.usageMetadata);
+        if (chunk.text) yield { text: chunk.text };
+      }
+      if (usage) yield { usage };
+    },
+  };
+}
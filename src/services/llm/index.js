@@ -0,0 +1,55 @@
+// src/services/llm/index.js
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+/**
+ * @typedef {{ role: "user"|"assistant", content: string }} LLMMessage
+ * @typedef {{ inputTokens: number, outputTokens: number }} LLMUsage
+ *
+ * @typedef {object} LLMRequest
+ * @property {string} model
+ * @property {string} [system] - system instruction
+ * @property {LLMMessage[]} messages
+ * @property {object} [schema] - JSON schema for structured output
+ * @property {number} [temperature]
+ * @property {AbortSignal} [signal]
+ *
+ * @typedef {object} LLMProvider
+ * @property {string} name
+ * @property {string} defaultModel
+ * @property {(req: LLMRequest) => Promise<{ text: string, usage: LLMUsage }>} generate
+ * @property {(req: LLMRequest) => Promise<{ data: any, text: string, usage: LLMUsage }>} generateJSON
+ * @property {(req: LLMRequest) => AsyncIterable<{ text?: string, usage?: LLMUsage }>} stream
+ */
+
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+export const LLM_PROVIDERS = Object.keys(factories);
+
+const instances = new Map();
+
+/**
+ * Returns the (singleton) provider instance for a provider name.
+ */
+export function getProvider(name) {
+  if (!factories[name]) throw new Error(`Unknown LLM provider: ${name}`);
+  if (!instances.has(name)) instances.set(name, factories[name]());
+  return instances.get(name);
+}
+
+/**
+ * Resolves the provider and model a bot should use.
+ * Order: bot.llmProvider / bot.llmModel → LLM_PROVIDER env → "gemini".
+ *
+ * @param {object} [bot]
+ * @returns {{ provider: LLMProvider, model: string }}
+ */
+export function getLLMForBot(bot) {
+  const provider = getProvider(bot?.llmProvider || process.env.LLM_PROVIDER || "gemini");
+  return { provider, model: bot?.llmModel || provider.defaultModel };
+}
@@ -0,0 +1,78 @@
+// src/services/llm/mock.js
+import fs from "fs";
+
+/**
+ * Loads the mock script from MOCK_LLM_SCRIPT (path to a JSON file).
+ * The file holds an array of rules: { "match": "<regex>", "response": <string|object> }.
+ * A rule without `match` acts as a catch-all.
+ */
+function loadScript(path) {
+  if (!path) return [];
+  try {
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch (err) {
+    console.error(`❌ Mock LLM: Failed to load script ${path}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Deterministic, offline provider for local development and tests.
+ * Replies are chosen by matching the last user message against the scripted
+ * rules; without a match it answers with a fixed echo reply.
+ *
+ * @param {{ script?: Array<{ match?: string, response: string|object }> }} [options]
+ * @returns {import("./index.js").LLMProvider & { setScript: Function }}
+ */
+export function createMockProvider({ script = loadScript(process.env.MOCK_LLM_SCRIPT) } = {}) {
+  let rules = script;
+
+  function reply({ messages, schema }) {
+    const last = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+    const rule = rules.find((r) => !r.match || new RegExp(r.match, "i").test(last));
+
+    if (rule) {
+      return typeof rule.response === "string" ? rule.response : JSON.stringify(rule.response);
+    }
+
+    const answer = `[mock] ${last.trim().split("\n")[0].slice(0, 200)}`;
+    return schema ? JSON.stringify({ action: "none", answer }) : answer;
+  }
+
+  // Rough token estimate so usage accounting still has numbers to work with
+  const countTokens = (text) => Math.ceil(text.length / 4);
+  const usageFor = (params, text) => ({
+    inputTokens: countTokens((params.system || "") + params.messages.map((m) => m.content).join("")),
+    outputTokens: countTokens(text),
+  });
+
+  return {
+    name: "mock",
+    defaultModel: "mock",
+
+    /** Replaces the scripted rules (used by tests and the eval harness). */
+    setScript(nextRules) {
+      rules = nextRules || [];
+    },
+
+    async generate(params) {
+      const text = reply(params);
+      return { text, usage: usageFor(params, text) };
+    },
+
+    async generateJSON(params) {
+      const { text, usage } = await this.generate(params);
+      return { data: JSON.parse(text), text, usage };
+    },
+
+    async *stream(params) {
+      const text = reply(params);
+      // Emit in small fixed-size slices so streaming clients see several events
+      for (let i = 0; i < text.length; i += 16) {
+        if (params.signal?.aborted) return;
+        yield { text: text.slice(i, i + 16) };
+      }
+      yield { usage: usageFor(params, text) };
+    },
+  };
+}
@@ -0,0 +1,133 @@
+// src/services/llm/openai.js
+import fetch from "node-fetch";
+
+/**
+ * Converts the Gemini-style `nullable: true` schema flag into JSON Schema
+ * type unions, which is what OpenAI-compatible servers expect.
+ */
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const { nullable, properties, items, ...rest } = schema;
+  const out = { ...rest };
+
+  if (nullable && typeof rest.type === "string") out.type = [rest.type, "null"];
+  if (properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(properties).map(([k, v]) => [k, toJsonSchema(v)])
+    );
+  }
+  if (items) out.items = toJsonSchema(items);
+  return out;
+}
+
+function toMessages(system, messages) {
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...messages.map((m) => ({ role: m.role === "assistant" ? "assistant" : "user", content: m.content })),
+  ];
+}
+
+function toUsage(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+  };
+}
+
+/**
+ * OpenAI-compatible adapter (Chat Completions API).
+ * Works with api.openai.com as well as self-hosted servers exposing the same
+ * API (vLLM, Ollama, LM Studio, ...) via OPENAI_BASE_URL.
+ *
+ * OPENAI_JSON_MODE selects how structured output is requested:
+ * "json_schema" (default) or "json_object" for servers without schema support.
+ *
+ * @param {{ baseUrl?: string, apiKey?: string, jsonMode?: string }} [options]
+ * @returns {import("./index.js").LLMProvider}
+ */
+export function createOpenAIProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY,
+  jsonMode = process.env.OPENAI_JSON_MODE || "json_schema",
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  const buildBody = ({ model, system, messages, schema, temperature }) => ({
+    model,
+    messages: toMessages(system, messages),
+    ...(temperature !== undefined && { temperature }),
+    ...(schema &&
+      (jsonMode === "json_object"
+        ? { response_format: { type: "json_object" } }
+        : {
+            response_format: {
+              type: "json_schema",
+              json_schema: { name: "response", schema: toJsonSchema(schema) },
+            },
+          })),
+  });
+
+  async function post(body, signal) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errBody = await response.text();
+      throw new Error(`OpenAI-compatible API error (${response.status}): ${errBody}`);
+    }
+    return response;
+  }
+
+  return {
+    name: "openai",
+    defaultModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+
+    async generate(params) {
+      const response = await post(buildBody(params), params.signal);
+      const json = await response.json();
+      return {
+        text: json.choices?.[0]?.message?.content || "",
+        usage: toUsage(json.usage),
+      };
+    },
+
+    async generateJSON(params) {
+      const { text, usage } = await this.generate(params);
+      return { data: JSON.parse(text), text, usage };
+    },
+
+    async *stream(params) {
+      const body = { ...buildBody(params), stream: true, stream_options: { include_usage: true } };
+      const response = await post(body, params.signal);
+
+      // Parse the SSE body line by line ("data: {...}" / "data: [DONE]")
+      // Multi-byte characters can be split across network chunks
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const raw of lines) {
+          const line = raw.trim();
+          if (!line.startsWith("data:")) continue;
+          const data = line.slice(5).trim();
+          if (data === "[DONE]") continue;
+
+          const event = JSON.parse(data);
+          const text = event.choices?.[0]?.delta?.content;
+          if (text) yield { text };
+          if (event.usage) yield { usage: toUsage(event.usage) };
+        }
+      }
+    },
+  };
+}
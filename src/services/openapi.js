@@ -0,0 +1,225 @@
+// src/services/openapi.js
+import { parse as parseYaml } from "yaml";
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+// $ref chains deeper than this are cut off to keep tool descriptions small
+const MAX_REF_DEPTH = 6;
+
+/**
+ * Error raised for an unreadable or unsupported API specification, with the
+ * HTTP status the route should return.
+ */
+export class OpenApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "OpenApiError";
+    this.status = status;
+  }
+}
+
+/**
+ * Parses an OpenAPI 3 / Swagger 2 document given as JSON or YAML text
+ * (or an already parsed object).
+ */
+export function parseSpec(input) {
+  if (input && typeof input === "object" && !Buffer.isBuffer(input)) return input;
+
+  const text = Buffer.isBuffer(input) ? input.toString("utf8") : String(input || "");
+  if (!text.trim()) throw new OpenApiError(400, "Empty API specification");
+
+  try {
+    // YAML is a superset of JSON, so one parser handles both
+    const spec = parseYaml(text);
+    if (!spec || typeof spec !== "object") throw new Error("not an object");
+    return spec;
+  } catch (err) {
+    throw new OpenApiError(400, `Could not parse API specification: ${err.message}`);
+  }
+}
+
+/**
+ * Resolves a local JSON pointer such as "#/components/schemas/Order".
+ */
+function resolvePointer(spec, ref) {
+  if (!ref.startsWith("#/")) return null;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, key) => (node == null ? undefined : node[key]), spec);
+}
+
+/**
+ * Returns a copy of `node` with local $refs inlined. Cycles and deeply nested
+ * references are replaced by a short placeholder.
+ */
+function dereference(spec, node, seen = new Set(), depth = 0) {
+  if (Array.isArray(node)) return node.map((item) => dereference(spec, item, seen, depth));
+  if (!node || typeof node !== "object") return node;
+
+  if (typeof node.$ref === "string") {
+    const name = node.$ref.split("/").pop();
+    if (seen.has(node.$ref) || depth >= MAX_REF_DEPTH) return { type: "object", description: `(${name})` };
+    const target = resolvePointer(spec, node.$ref);
+    if (target === undefined || target === null) return { description: `Unresolved reference ${node.$ref}` };
+    return dereference(spec, target, new Set([...seen, node.$ref]), depth + 1);
+  }
+
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    // Examples and vendor extensions only add noise to the prompt
+    if (key === "example" || key === "examples" || key.startsWith("x-")) continue;
+    out[key] = dereference(spec, value, seen, depth);
+  }
+  return out;
+}
+
+/**
+ * Picks the JSON request body schema of an OpenAPI 3 operation, or builds one
+ * from Swagger 2 `body` / `formData` parameters.
+ */
+function requestBodySchema(spec, operation, parameters) {
+  if (operation.requestBody) {
+    const body = dereference(spec, operation.requestBody);
+    const content = body.content || {};
+    const media =
+      content["application/json"] ||
+      Object.entries(content).find(([type]) => type.includes("json"))?.[1] ||
+      Object.values(content)[0];
+    return media?.schema || null;
+  }
+
+  const bodyParam = parameters.find((p) => p.in === "body");
+  if (bodyParam) return bodyParam.schema || null;
+
+  const formParams = parameters.filter((p) => p.in === "formData");
+  if (formParams.length) {
+    return {
+      type: "object",
+      properties: Object.fromEntries(formParams.map((p) => [p.name, { type: p.type, description: p.description }])),
+      required: formParams.filter((p) => p.required).map((p) => p.name),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The API base URL the specification declares (OpenAPI 3 `servers`,
+ * Swagger 2 `host` + `basePath`), if any.
+ */
+function specBaseUrl(spec) {
+  if (Array.isArray(spec.servers) && spec.servers[0]?.url) return spec.servers[0].url;
+  if (spec.host) {
+    const scheme = spec.schemes?.includes("https") ? "https" : spec.schemes?.[0] || "https";
+    return `${scheme}://${spec.host}${spec.basePath || ""}`;
+  }
+  return null;
+}
+
+/**
+ * Converts an OpenAPI 3 / Swagger 2 document into endpoint definitions.
+ *
+ * @param {object} spec - parsed specification (see parseSpec)
+ * @returns {{ info: { title: string, version: string, baseUrl: string|null }, operations: object[] }}
+ *   operations: { operationId, method, endpoint, summary, description, tags,
+ *   parameters: [{ name, in, required, description, schema }], requestBody }
+ */
+export function extractOperations(spec) {
+  const isOpenApi3 = typeof spec.openapi === "string" && spec.openapi.startsWith("3.");
+  const isSwagger2 = String(spec.swagger) === "2.0";
+  if (!isOpenApi3 && !isSwagger2) {
+    throw new OpenApiError(400, "Unsupported specification: expected OpenAPI 3.x or Swagger 2.0");
+  }
+  if (!spec.paths || typeof spec.paths !== "object") {
+    throw new OpenApiError(400, "API specification has no paths");
+  }
+
+  const operations = [];
+  const ids = new Set();
+
+  for (const [path, rawPathItem] of Object.entries(spec.paths)) {
+    const pathItem = (rawPathItem?.$ref ? resolvePointer(spec, rawPathItem.$ref) : rawPathItem) || {};
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      // Operation-level parameters override path-level ones with the same name + location
+      const byKey = new Map();
+      const declared = dereference(spec, [...(pathItem.parameters || []), ...(operation.parameters || [])]);
+      for (const p of declared) {
+        if (p?.name && p?.in) byKey.set(`${p.in}:${p.name}`, p);
+      }
+      const allParameters = [...byKey.values()];
+
+      let operationId = operation.operationId || `${method}_${path.replace(/[^a-zA-Z0-9]+/g, "_").replace(/^_+|_+$/g, "")}`;
+      for (let i = 2; ids.has(operationId); i++) operationId = `${operation.operationId || method}_${i}`;
+      ids.add(operationId);
+
+      operations.push({
+        operationId,
+        method: method.toUpperCase(),
+        endpoint: path,
+        summary: operation.summary || "",
+        description: operation.description || "",
+        tags: operation.tags || [],
+        parameters: allParameters
+          .filter((p) => ["path", "query"].includes(p.in))
+          .map((p) => ({
+            name: p.name,
+            in: p.in,
+            required: Boolean(p.required || p.in === "path"),
+            ...(p.description && { description: p.description }),
+            schema: p.schema || (p.type ? { type: p.type } : {}),
+          })),
+        requestBody: requestBodySchema(spec, operation, allParameters),
+        ...(operation.deprecated && { deprecated: true }),
+      });
+    }
+  }
+
+  return {
+    info: {
+      title: spec.info?.title || "Untitled API",
+      version: spec.info?.version || "",
+      baseUrl: specBaseUrl(spec),
+    },
+    operations,
+  };
+}
+
+/**
+ * Builds endpointRoles entries for the selected operations.
+ *
+ * @param {object[]} operations - operations stored on the bot by the import
+ * @param {Array<{ operationId: string, roles?: string[], policy?: "auto"|"confirm"|"deny" }>} selection
+ * @returns {{ rules: object[], unknown: string[] }} rules plus any operationIds that do not exist
+ */
+export function buildEndpointRules(operations, selection) {
+  const byId = new Map(operations.map((op) => [op.operationId, op]));
+  const rules = [];
+  const unknown = [];
+
+  for (const item of selection) {
+    const op = byId.get(item?.operationId);
+    if (!op) {
+      unknown.push(item?.operationId);
+      continue;
+    }
+
+    rules.push({
+      name: op.operationId,
+      operationId: op.operationId,
+      endpoint: op.endpoint,
+      method: op.method,
+      roles: Array.isArray(item.roles) ? item.roles.map(String) : [],
+      ...(item.policy && { policy: item.policy }),
+      description: [op.summary, op.description].filter(Boolean).join(" — "),
+      ...(op.parameters.length && { parameters: op.parameters }),
+      ...(op.requestBody && { requestBody: op.requestBody }),
+    });
+  }
+
+  return { rules, unknown };
+}
@@ -0,0 +1,96 @@
+// src/services/pendingActions.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+
+// How long a proposed action can be confirmed before it expires
+const ACTION_TOKEN_TTL_MS = parseInt(process.env.ACTION_TOKEN_TTL_MS) || 5 * 60 * 1000;
+
+function pendingActions() {
+  return getDB().collection("pending_actions");
+}
+
+function hashToken(actionToken) {
+  return crypto.createHash("sha256").update(String(actionToken)).digest("hex");
+}
+
+/**
+ * Public view of a pending action (never includes the token hash).
+ */
+function toPublicAction(action) {
+  if (!action) return null;
+  const { _id, tokenHash, ...rest } = action;
+  return rest;
+}
+
+/**
+ * Stores an API action that waits for the user's confirmation.
+ * Returns the action together with its one-time `actionToken`; only a hash
+ * of the token is stored.
+ *
+ * @param {object} action - { botId, userSub, conversationId, tool, endpoint, method, payload, summary }
+ * @returns {Promise<object>}
+ */
+export async function createPendingAction(action) {
+  const now = new Date();
+  const actionToken = crypto.randomBytes(24).toString("base64url");
+  const doc = {
+    actionId: `act-${crypto.randomUUID()}`,
+    ...action,
+    userSub: action.userSub ?? null,
+    status: "pending",
+    tokenHash: hashToken(actionToken),
+    expiresAt: new Date(now.getTime() + ACTION_TOKEN_TTL_MS),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await pendingActions().insertOne({ ...doc });
+  return { ...toPublicAction(doc), actionToken };
+}
+
+/**
+ * Loads a user's pending action for a bot.
+ */
+export async function getPendingAction(botId, userSub, actionId) {
+  return toPublicAction(await pendingActions().findOne({ actionId, botId, userSub: userSub ?? null }));
+}
+
+/**
+ * Atomically moves a pending action to `status` ("confirmed" or "rejected")
+ * if the token matches and it has not expired. Returns the updated action, or
+ * null when it was already decided, expired or the token is wrong.
+ */
+export async function decidePendingAction(botId, userSub, actionId, actionToken, status) {
+  const now = new Date();
+  const action = await pendingActions().findOneAndUpdate(
+    {
+      actionId,
+      botId,
+      userSub: userSub ?? null,
+      status: "pending",
+      tokenHash: hashToken(actionToken),
+      expiresAt: { $gt: now },
+    },
+    { $set: { status, decidedAt: now, updatedAt: now } },
+    { returnDocument: "after" }
+  );
+  return toPublicAction(action);
+}
+
+/**
+ * Records the outcome of a confirmed action.
+ */
+export async function completePendingAction(actionId, result) {
+  await pendingActions().updateOne(
+    { actionId },
+    { $set: { status: "executed", result, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Removes all pending actions of a bot. Returns the number removed.
+ */
+export async function deleteBotPendingActions(botId) {
+  const result = await pendingActions().deleteMany({ botId });
+  return result.deletedCount;
+}
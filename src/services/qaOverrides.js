@@ -0,0 +1,181 @@
+// src/services/qaOverrides.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+import { tokenizeForSearch } from "./lexicalIndex.js";
+
+// A question matches an override when their terms overlap at least this much (token F1)
+const QA_OVERRIDE_MIN_SIMILARITY = parseFloat(process.env.QA_OVERRIDE_MIN_SIMILARITY) || 0.75;
+// Upper bound on overrides per bot (all of them are compared with every question)
+const QA_OVERRIDE_MAX_PER_BOT = parseInt(process.env.QA_OVERRIDE_MAX_PER_BOT) || 500;
+const QA_ANSWER_MAX_CHARS = 8000;
+
+/**
+ * Curated Q&A overrides: answers a bot's owners have written or corrected,
+ * e.g. from negative feedback. Retrieval puts a matching override ahead of
+ * the document chunks (see retrieveChunks):
+ * { overrideId, botId, question, variants: [...], answer, enabled,
+ *   feedbackId, createdBy, createdAt, updatedAt }
+ */
+function qaOverrides() {
+  return getDB().collection("qa_overrides");
+}
+
+/**
+ * Error raised by override operations, with the HTTP status the route should return.
+ */
+export class QaOverrideError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "QaOverrideError";
+    this.status = status;
+  }
+}
+
+// Search terms with a plural "s" dropped, so "refund" matches "refunds"
+function questionTerms(text) {
+  return tokenizeForSearch(text).map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t));
+}
+
+function termSimilarity(a, b) {
+  const left = questionTerms(a);
+  const right = questionTerms(b);
+  if (!left.length || !right.length) return 0;
+
+  const counts = new Map();
+  left.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+  let shared = 0;
+  for (const t of right) {
+    if (counts.get(t) > 0) {
+      shared++;
+      counts.set(t, counts.get(t) - 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * Validates the editable fields of an override (all required on create).
+ * @returns {{ fields?: object, error?: string }}
+ */
+function parseOverride({ question, variants, answer, enabled }, { partial = false } = {}) {
+  const fields = {};
+  if (question !== undefined || !partial) {
+    if (typeof question !== "string" || !question.trim()) return { error: "question is required" };
+    if (!tokenizeForSearch(question).length) return { error: "question needs at least one searchable word" };
+    fields.question = question.trim();
+  }
+  if (variants !== undefined) {
+    if (!Array.isArray(variants) || variants.some((v) => typeof v !== "string" || !v.trim()))
+      return { error: "variants must be an array of questions" };
+    fields.variants = variants.map((v) => v.trim());
+  } else if (!partial) {
+    fields.variants = [];
+  }
+  if (answer !== undefined || !partial) {
+    if (typeof answer !== "string" || !answer.trim()) return { error: "answer is required" };
+    if (answer.length > QA_ANSWER_MAX_CHARS) return { error: `answer can be at most ${QA_ANSWER_MAX_CHARS} characters` };
+    fields.answer = answer.trim();
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== "boolean") return { error: "enabled must be true or false" };
+    fields.enabled = enabled;
+  } else if (!partial) {
+    fields.enabled = true;
+  }
+  return { fields };
+}
+
+/**
+ * Creates an override. `feedbackId` links it to the feedback it corrects.
+ */
+export async function createQaOverride(botId, body, { createdBy, feedbackId } = {}) {
+  const { fields, error } = parseOverride(body || {});
+  if (error) throw new QaOverrideError(400, error);
+  if ((await qaOverrides().countDocuments({ botId })) >= QA_OVERRIDE_MAX_PER_BOT)
+    throw new QaOverrideError(409, `A bot can have at most ${QA_OVERRIDE_MAX_PER_BOT} Q&A overrides`);
+
+  const now = new Date();
+  const override = {
+    overrideId: `qa-${crypto.randomUUID()}`,
+    botId,
+    ...fields,
+    feedbackId: feedbackId || null,
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await qaOverrides().insertOne(override);
+  console.log(`📌 QA: Added override ${override.overrideId} to bot ${botId}`);
+  const { _id, ...view } = override;
+  return view;
+}
+
+export async function listQaOverrides(botId) {
+  return qaOverrides().find({ botId }, { projection: { _id: 0 } }).sort({ createdAt: -1 }).toArray();
+}
+
+export async function getQaOverride(botId, overrideId) {
+  return qaOverrides().findOne({ botId, overrideId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Updates an override's question, variants, answer and/or enabled flag.
+ */
+export async function updateQaOverride(botId, overrideId, body) {
+  const { fields, error } = parseOverride(body || {}, { partial: true });
+  if (error) throw new QaOverrideError(400, error);
+
+  const override = await qaOverrides().findOneAndUpdate(
+    { botId, overrideId },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: "after", projection: { _id: 0 } }
+  );
+  if (!override) throw new QaOverrideError(404, "Q&A override not found");
+  return override;
+}
+
+/**
+ * Deletes an override. Returns false if it does not exist.
+ */
+export async function deleteQaOverride(botId, overrideId) {
+  const result = await qaOverrides().deleteOne({ botId, overrideId });
+  return result.deletedCount > 0;
+}
+
+export async function deleteBotQaOverrides(botId) {
+  await qaOverrides().deleteMany({ botId });
+}
+
+/**
+ * The enabled override whose question (or a variant) is closest to the
+ * query, if it reaches QA_OVERRIDE_MIN_SIMILARITY.
+ * @returns {Promise<{ override: object, similarity: number }|null>}
+ */
+export async function matchQaOverride(botId, query) {
+  const overrides = await qaOverrides()
+    .find({ botId, enabled: true }, { projection: { _id: 0 } })
+    .limit(QA_OVERRIDE_MAX_PER_BOT)
+    .toArray();
+
+  let best = null;
+  for (const override of overrides) {
+    for (const question of [override.question, ...(override.variants || [])]) {
+      const similarity = termSimilarity(query, question);
+      if (similarity >= QA_OVERRIDE_MIN_SIMILARITY && similarity > (best?.similarity ?? 0)) best = { override, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * An override as a retrieved chunk, so it is cited like any other passage.
+ */
+export function overrideChunk({ override, similarity }) {
+  const text = `Q: ${override.question}\nA: ${override.answer}`;
+  return {
+    id: override.overrideId,
+    text,
+    score: similarity,
+    fields: { text, filename: "curated answers", overrideId: override.overrideId },
+  };
+}
@@ -1,56 +1,84 @@
 // src/services/rag.js
-import { chunkText } from "../utils/textChunker.js";
+import { chunkDocument, getChunkingSettings } from "./chunking/index.js";
 import { upsertEmbeddings } from "./vectorStore.js";
+import { withRetry } from "../utils/retry.js";
+import { documentObject } from "./documentAccess.js";
+
+// Chunks sent to the vector store per upsert call (Pinecone integrated embedding caps this at 96)
+const UPSERT_BATCH_SIZE = parseInt(process.env.UPSERT_BATCH_SIZE) || 90;
+// Retries per failed batch before the document is marked as failed
+const UPSERT_RETRIES = parseInt(process.env.UPSERT_RETRIES) || 3;
 
 /**
  * processDocument
- * Splits text into chunks and uploads them to Pinecone.
- * Pinecone (serverless) automatically handles embedding for each chunk.
+ * Splits text into chunks and uploads them to the vector store.
+ * The backend (Pinecone serverless or local) handles embedding for each chunk.
+ * Each chunk's page range and section heading go into its metadata.
+ *
+ * Chunk IDs are `${idPrefix}_${i}`; pass a prefix that is unique per document
+ * version so a replacement never overwrites the chunks it is replacing.
+ * Chunks are upserted in batches; a failed batch is retried with backoff.
  *
- * @param {string} botId - Namespace for Pinecone
+ * @param {string} botId - Namespace in the vector store
  * @param {string} text - Extracted text from PDF or other document
  * @param {string} [filename="document.pdf"]
- * @returns {Promise<boolean>} success/failure
+ * @param {object} [options]
+ * @param {string} [options.idPrefix] - defaults to `${botId}_${Date.now()}`
+ * @param {string} [options.docId] - knowledge base document the chunks belong to
+ * @param {Array<{ num: number, text: string }>} [options.pages] - per-page text, for page metadata
+ * @param {object} [options.chunking] - chunking settings (see getChunkingSettings); defaults to the environment's
+ * @param {(progress: { chunksProcessed: number, chunksTotal: number }) => any} [options.onProgress]
+ * @returns {Promise<string[]|null>} the upserted chunk IDs, or null if there was nothing to ingest
+ * @throws when a batch still fails after its retries
  */
-export async function processDocument(botId, text, filename = "document.pdf") {
+export async function processDocument(botId, text, filename = "document.pdf", options = {}) {
   try {
     if (!text || !text.trim()) {
       console.error("❌ RAG: Empty or invalid text input");
-      return false;
+      return null;
     }
 
-    // Split text into semantic chunks (~1000 characters)
-    const chunks = chunkText(text, 1000);
+    const chunks = chunkDocument({ text, pages: options.pages }, options.chunking || getChunkingSettings());
     if (!chunks.length) {
       console.error("❌ RAG: No valid chunks generated from document");
-      return false;
+      return null;
     }
 
     console.log(`📄 RAG: Processing ${chunks.length} chunks for bot "${botId}" (${filename})`);
 
-    const now = Date.now();
-    const docKey = `document:${botId}/${filename}`;
+    const idPrefix = options.idPrefix || `${botId}_${Date.now()}`;
+    const docKey = documentObject(botId, filename);
 
-    // Prepare items for Pinecone
+    // Prepare items for the vector store
     const items = chunks.map((chunk, i) => ({
-      id: `${botId}_${now}_${i}`,
-      text: chunk,
+      id: `${idPrefix}_${i}`,
+      text: chunk.text,
       metadata: {
         botId,
         filename,
         docKey,          // ← used by FGA checks
+        ...(options.docId && { docId: options.docId }),
         chunkIndex: i,
-        length: chunk.length,
+        length: chunk.text.length,
+        ...chunk.metadata,
       },
     }));
 
-    // Upload chunks to Pinecone (auto-embeds via serverless mode)
-    await upsertEmbeddings(botId, items);
+    // Upload chunks to the vector store in batches (embedded by the backend)
+    await options.onProgress?.({ chunksProcessed: 0, chunksTotal: items.length });
+    for (let i = 0; i < items.length; i += UPSERT_BATCH_SIZE) {
+      const batch = items.slice(i, i + UPSERT_BATCH_SIZE);
+      await withRetry(() => upsertEmbeddings(botId, batch), {
+        retries: UPSERT_RETRIES,
+        label: `RAG: Upsert of chunks ${i}–${i + batch.length - 1} for bot "${botId}"`,
+      });
+      await options.onProgress?.({ chunksProcessed: i + batch.length, chunksTotal: items.length });
+    }
 
     console.log(`✅ RAG: Successfully uploaded ${chunks.length} chunks for bot "${botId}"`);
-    return true;
+    return items.map((it) => it.id);
   } catch (err) {
     console.error("❌ RAG: Document processing failed:", err);
-    return false;
+    throw err;
   }
 }
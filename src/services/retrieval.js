@@ -0,0 +1,240 @@
+// src/services/retrieval.js
+import dotenv from "dotenv";
+import { querySimilar } from "./vectorStore.js";
+import { searchLexical } from "./lexicalIndex.js";
+import { filterReadableChunks } from "./documentAccess.js";
+import { matchQaOverride, overrideChunk } from "./qaOverrides.js";
+import { getLLMForBot } from "./llm/index.js";
+import { getPinecone } from "../config/pinecone.js";
+
+dotenv.config();
+
+export const RETRIEVAL_MODES = ["hybrid", "vector", "lexical"];
+export const RERANKERS = ["none", "llm", "pinecone"];
+
+// Reciprocal rank fusion constant (higher = flatter weighting of ranks)
+const RRF_K = 60;
+// Characters of each passage shown to the LLM reranker
+const RERANK_PASSAGE_CHARS = 800;
+
+const DEFAULT_SETTINGS = {
+  mode: process.env.RETRIEVAL_MODE || "hybrid",
+  topK: parseInt(process.env.RETRIEVAL_TOP_K) || 5,
+  candidates: parseInt(process.env.RETRIEVAL_CANDIDATES) || 20,
+  vectorWeight: 1,
+  lexicalWeight: 1,
+  minVectorScore: parseFloat(process.env.RETRIEVAL_MIN_VECTOR_SCORE) || 0,
+  minLexicalScore: parseFloat(process.env.RETRIEVAL_MIN_LEXICAL_SCORE) || 0,
+  rerank: process.env.RETRIEVAL_RERANK || "none",
+  minRerankScore: parseFloat(process.env.RETRIEVAL_MIN_RERANK_SCORE) || 0,
+};
+
+const NUMERIC_LIMITS = {
+  topK: [1, 20],
+  candidates: [1, 100],
+  vectorWeight: [0, 10],
+  lexicalWeight: [0, 10],
+  minVectorScore: [0, Infinity],
+  minLexicalScore: [0, Infinity],
+  minRerankScore: [0, 1],
+};
+
+/**
+ * Parses a bot's `retrieval` setting (object or JSON string), e.g.
+ * { "mode": "hybrid", "topK": 5, "minVectorScore": 0.3, "rerank": "llm" }.
+ * Returns null when it is not valid.
+ */
+export function parseRetrievalSettings(value) {
+  let settings = value;
+  if (typeof value === "string") {
+    try {
+      settings = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) return null;
+
+  const parsed = {};
+  for (const [key, raw] of Object.entries(settings)) {
+    if (key === "mode" || key === "rerank") {
+      if (!(key === "mode" ? RETRIEVAL_MODES : RERANKERS).includes(raw)) return null;
+      parsed[key] = raw;
+    } else if (NUMERIC_LIMITS[key]) {
+      const [min, max] = NUMERIC_LIMITS[key];
+      const number = Number(raw);
+      if (raw === "" || raw === null || Number.isNaN(number) || number < min || number > max) return null;
+      parsed[key] = ["topK", "candidates"].includes(key) ? Math.round(number) : number;
+    } else {
+      return null;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * The bot's effective retrieval settings (bot over environment defaults).
+ */
+export function getRetrievalSettings(bot) {
+  const settings = { ...DEFAULT_SETTINGS, ...(parseRetrievalSettings(bot?.retrieval || {}) || {}) };
+  settings.candidates = Math.max(settings.candidates, settings.topK);
+  return settings;
+}
+
+/**
+ * Merges ranked hit lists with weighted reciprocal rank fusion. Each fused hit
+ * keeps its original scores as `vectorScore` / `lexicalScore`.
+ */
+function fuseRankings(lists) {
+  const fused = new Map();
+  for (const { hits, weight, scoreField } of lists) {
+    hits.forEach((hit, rank) => {
+      const entry = fused.get(hit.id) || { id: hit.id, text: hit.text, fields: hit.fields, score: 0 };
+      entry.score += weight / (RRF_K + rank + 1);
+      entry[scoreField] = hit.score;
+      fused.set(hit.id, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Scores passages with the bot's own LLM (0–10, scaled to 0–1).
+ */
+async function rerankWithLLM(bot, query, chunks, usage) {
+  const { provider, model } = getLLMForBot(bot);
+  const passages = chunks.map((c, i) => `[${i}] ${c.text.slice(0, RERANK_PASSAGE_CHARS)}`).join("\n\n");
+
+  const { data, usage: callUsage } = await provider.generateJSON({
+    model,
+    system: "Rate how well each passage helps answer the query, from 0 (unrelated) to 10 (answers it directly).",
+    messages: [{ role: "user", content: `Query: ${query}\n\nPassages:\n${passages}` }],
+    schema: {
+      type: "object",
+      properties: {
+        scores: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { index: { type: "integer" }, score: { type: "number" } },
+            required: ["index", "score"],
+          },
+        },
+      },
+      required: ["scores"],
+    },
+    temperature: 0,
+  });
+  if (usage && callUsage) {
+    usage.inputTokens += callUsage.inputTokens || 0;
+    usage.outputTokens += callUsage.outputTokens || 0;
+  }
+
+  const scores = new Map((data?.scores || []).map((s) => [s.index, Math.min(Math.max(Number(s.score) || 0, 0), 10) / 10]));
+  return chunks.map((_, i) => scores.get(i) ?? 0);
+}
+
+/**
+ * Scores passages with a Pinecone hosted reranking model (PINECONE_RERANK_MODEL).
+ */
+async function rerankWithPinecone(query, chunks) {
+  const model = process.env.PINECONE_RERANK_MODEL || "bge-reranker-v2-m3";
+  const result = await getPinecone().inference.rerank(
+    model,
+    query,
+    chunks.map((c) => c.text),
+    { returnDocuments: false }
+  );
+  const scores = new Map((result.data || []).map((r) => [r.index, r.score]));
+  return chunks.map((_, i) => scores.get(i) ?? 0);
+}
+
+/**
+ * retrieveChunks
+ * The retrieval pipeline for a chat turn:
+ *   1. vector and/or keyword (BM25) search, `candidates` hits each
+ *   2. weighted reciprocal rank fusion of both rankings
+ *   3. minimum-score thresholds: a hit stays when its vector score reaches
+ *      `minVectorScore` or its keyword score reaches `minLexicalScore`
+ *   4. document permissions: chunks of documents the user may not read are
+ *      withheld (see documentAccess.js)
+ *   5. optional reranking ("llm" or "pinecone") with `minRerankScore`
+ *   6. a curated Q&A override matching the question goes first (see
+ *      qaOverrides.js); it skips the thresholds and document permissions
+ *   7. the best `topK`
+ * `relevant` is false when nothing passed, so the bot can say it doesn't know.
+ *
+ * @param {object} bot
+ * @param {string} query
+ * @param {object} [options]
+ * @param {{ inputTokens: number, outputTokens: number }} [options.usage] - LLM reranking tokens are added here
+ * @param {{ sub?: string }|null} [options.user] - whose document permissions apply
+ * @returns {Promise<{ chunks: object[], relevant: boolean, stats: object }>}
+ */
+export async function retrieveChunks(bot, query, { usage, user = null } = {}) {
+  const settings = getRetrievalSettings(bot);
+  const useVector = settings.mode !== "lexical";
+  const useLexical = settings.mode !== "vector";
+
+  const [vectorHits, lexicalHits, override] = await Promise.all([
+    useVector ? querySimilar(bot.botId, query, settings.candidates) : [],
+    useLexical
+      ? searchLexical(bot.botId, query, settings.candidates).catch((err) => {
+          console.error("❌ Retrieval: Keyword search failed:", err.message);
+          return [];
+        })
+      : [],
+    matchQaOverride(bot.botId, query).catch((err) => {
+      console.error("❌ Retrieval: Q&A override lookup failed:", err.message);
+      return null;
+    }),
+  ]);
+
+  const fused = fuseRankings([
+    { hits: vectorHits, weight: settings.vectorWeight, scoreField: "vectorScore" },
+    { hits: lexicalHits, weight: settings.lexicalWeight, scoreField: "lexicalScore" },
+  ]);
+
+  let chunks = fused.filter(
+    (c) =>
+      (c.vectorScore !== undefined && c.vectorScore >= settings.minVectorScore) ||
+      (c.lexicalScore !== undefined && c.lexicalScore >= settings.minLexicalScore)
+  );
+
+  const access = await filterReadableChunks(bot, user, chunks);
+  chunks = access.chunks;
+
+  let reranked = false;
+  if (settings.rerank !== "none" && chunks.length) {
+    try {
+      const scores =
+        settings.rerank === "llm"
+          ? await rerankWithLLM(bot, query, chunks, usage)
+          : await rerankWithPinecone(query, chunks);
+      chunks = chunks
+        .map((c, i) => ({ ...c, rerankScore: scores[i], score: scores[i] }))
+        .filter((c) => c.rerankScore >= settings.minRerankScore)
+        .sort((a, b) => b.score - a.score);
+      reranked = true;
+    } catch (err) {
+      // Fall back to the fused order rather than failing the turn
+      console.error(`❌ Retrieval: ${settings.rerank} reranking failed:`, err.message);
+    }
+  }
+
+  if (override) chunks = [overrideChunk(override), ...chunks];
+  chunks = chunks.slice(0, settings.topK);
+  const stats = {
+    mode: settings.mode,
+    vectorHits: vectorHits.length,
+    lexicalHits: lexicalHits.length,
+    fused: fused.length,
+    withheld: access.withheld,
+    kept: chunks.length,
+    reranked,
+    override: override?.override.overrideId || null,
+  };
+
+  if (!chunks.length) console.log(`🔎 Retrieval: Nothing relevant for bot ${bot.botId} (${JSON.stringify(stats)})`);
+  return { chunks, relevant: chunks.length > 0, stats };
+}
@@ -0,0 +1,90 @@
+// src/services/sharedCache.js
+import { getDB } from "../config/db.js";
+import { setCacheBackend, CACHE_MAX_ENTRIES } from "../utils/cache.js";
+
+// The size cap is enforced every this many writes
+const TRIM_EVERY_WRITES = 50;
+
+function cacheEntries() {
+  return getDB().collection("response_cache");
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * MongoDB cache backend shared by all instances, so an invalidation on one
+ * instance is seen by the others. Expired entries are removed by a TTL index;
+ * past `maxEntries` the least recently read entries are trimmed.
+ *
+ * @param {{ maxEntries?: number }} [options]
+ * @returns {import("../utils/cache.js").CacheBackend}
+ */
+export function createMongoCacheBackend({ maxEntries = CACHE_MAX_ENTRIES } = {}) {
+  let writes = 0;
+
+  async function trim() {
+    const excess = (await cacheEntries().countDocuments({})) - maxEntries;
+    if (excess <= 0) return;
+
+    const oldest = await cacheEntries()
+      .find({}, { projection: { _id: 0, key: 1 } })
+      .sort({ lastUsedAt: 1 })
+      .limit(excess)
+      .toArray();
+    await cacheEntries().deleteMany({ key: { $in: oldest.map((e) => e.key) } });
+  }
+
+  return {
+    name: "mongo",
+    maxEntries,
+    async get(key) {
+      const now = new Date();
+      const entry = await cacheEntries().findOneAndUpdate(
+        { key, expiresAt: { $gt: now } },
+        { $set: { lastUsedAt: now } },
+        { returnDocument: "after" }
+      );
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttl) {
+      const now = new Date();
+      await cacheEntries().updateOne(
+        { key },
+        { $set: { value, lastUsedAt: now, expiresAt: new Date(now.getTime() + ttl) } },
+        { upsert: true }
+      );
+      if (++writes % TRIM_EVERY_WRITES === 0) await trim();
+    },
+    async delete(key) {
+      await cacheEntries().deleteOne({ key });
+    },
+    async deleteByPrefix(prefix) {
+      const result = await cacheEntries().deleteMany({ key: { $regex: `^${escapeRegex(prefix)}` } });
+      return result.deletedCount;
+    },
+    async clear() {
+      await cacheEntries().deleteMany({});
+    },
+    async size() {
+      return cacheEntries().countDocuments({ expiresAt: { $gt: new Date() } });
+    },
+  };
+}
+
+/**
+ * Switches the response cache to the shared MongoDB backend when
+ * CACHE_BACKEND=mongo (default: per-instance memory). Called once at startup.
+ */
+export async function configureSharedCache() {
+  const choice = (process.env.CACHE_BACKEND || "memory").toLowerCase();
+  if (choice === "memory") return;
+  if (choice !== "mongo") {
+    console.warn(`⚠️ Cache: Unknown CACHE_BACKEND "${choice}", keeping the memory backend`);
+    return;
+  }
+
+  await cacheEntries().createIndex({ key: 1 }, { unique: true });
+  await cacheEntries().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await cacheEntries().createIndex({ lastUsedAt: 1 });
+  setCacheBackend(createMongoCacheBackend());
+}
@@ -0,0 +1,182 @@
+// src/services/tools.js
+import { parseEndpointRules, rolesForMethod, checkEndpointAccess } from "../utils/endpointRules.js";
+
+/**
+ * @typedef {object} BotTool
+ * @property {string} name - stable identifier the model uses to pick the tool, e.g. "get_orders"
+ * @property {string} endpoint - path relative to the bot's apiBaseUrl
+ * @property {string} method - HTTP method
+ * @property {string[]} roles - roles allowed to call it (see roleCheck.js)
+ * @property {"auto"|"confirm"|"deny"} policy - how a call is handled (see getToolPolicy)
+ * @property {string} [description]
+ * @property {Array<{ name: string, in: "path"|"query", required: boolean, description?: string, schema?: object }>} [parameters]
+ * @property {object} [requestBody] - JSON schema of the request body
+ */
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+export const ACTION_POLICIES = ["auto", "confirm", "deny"];
+// Request body schemas longer than this are cut off in the prompt
+const TOOL_SCHEMA_MAX_CHARS = parseInt(process.env.TOOL_SCHEMA_MAX_CHARS) || 1500;
+
+function toToolName(method, endpoint) {
+  const slug = endpoint
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return `${method.toLowerCase()}_${slug || "root"}`;
+}
+
+/**
+ * Policy for calls to an endpoint rule: "auto" runs right away, "confirm"
+ * waits for the user's approval and "deny" is never run by the assistant.
+ * Without an explicit policy, reads (GET) run automatically and anything
+ * that changes state needs confirmation.
+ */
+export function getToolPolicy(rule, method) {
+  if (ACTION_POLICIES.includes(rule.policy)) return rule.policy;
+  return method === "GET" ? "auto" : "confirm";
+}
+
+/**
+ * Parses the bot's `endpointRoles` into the tools the model may call: one tool
+ * per rule and method. Rules without a method (or "ANY") are exposed as GET;
+ * wildcard rules ("*", "**") only guard the proxy and are not offered as tools.
+ * @returns {BotTool[]}
+ */
+export function getBotTools(bot) {
+  const tools = [];
+  const names = new Set();
+
+  for (const rule of parseEndpointRules(bot)) {
+    if (rule.endpoint.split("/").some((segment) => segment === "*" || segment === "**")) continue;
+
+    const declared = [].concat(rule.methods || rule.method || []).map((m) => String(m).toUpperCase());
+    const methods = declared.filter((m) => METHODS.includes(m));
+    if (!methods.length && (!declared.length || declared.includes("ANY") || declared.includes("*"))) {
+      methods.push("GET");
+    }
+
+    for (const method of methods) {
+      // Keep names unique when two rules slugify to the same identifier
+      const base = rule.name && methods.length === 1 ? rule.name : toToolName(method, rule.endpoint);
+      let name = base;
+      for (let i = 2; names.has(name); i++) name = `${base}_${i}`;
+      names.add(name);
+
+      tools.push({
+        name,
+        endpoint: rule.endpoint,
+        method,
+        roles: rolesForMethod(rule, method),
+        policy: getToolPolicy(rule, method),
+        ...(rule.description && { description: String(rule.description) }),
+        ...(Array.isArray(rule.parameters) && rule.parameters.length && { parameters: rule.parameters }),
+        ...(rule.requestBody && { requestBody: rule.requestBody }),
+      });
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * The bot's tools the user is allowed to call (same rules as the proxy's
+ * role check), so the model is not offered calls that would be refused.
+ */
+export function getToolsForUser(bot, user) {
+  return getBotTools(bot).filter((tool) => checkEndpointAccess(bot, user, tool.endpoint, tool.method).allowed);
+}
+
+/**
+ * Keeps the parts of a JSON schema the model needs to build a payload.
+ */
+function compactSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  if (Array.isArray(schema)) return schema.map(compactSchema);
+
+  const out = {};
+  for (const key of ["type", "format", "enum", "description", "required", "nullable"]) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+  if (schema.items) out.items = compactSchema(schema.items);
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, prop]) => [name, compactSchema(prop)])
+    );
+  }
+  for (const key of ["oneOf", "anyOf", "allOf"]) {
+    if (schema[key]) out[key] = compactSchema(schema[key]);
+  }
+  return out;
+}
+
+function describeParameter(p) {
+  const flags = [p.in, p.required && "required", p.schema?.type].filter(Boolean).join(", ");
+  return `${p.name} (${flags})${p.description ? ` — ${p.description}` : ""}`;
+}
+
+/**
+ * Describes the tools for the model prompt: one line per tool, followed by
+ * its parameters and request body schema when the bot has them (OpenAPI import).
+ */
+export function describeTools(tools) {
+  const offered = tools.filter((t) => t.policy !== "deny");
+  if (!offered.length) return "None provided.";
+  return offered
+    .map((t) => {
+      const roles = t.roles.length ? ` — roles: ${t.roles.join(", ")}` : "";
+      const description = t.description ? ` — ${t.description}` : "";
+      const confirm = t.policy === "confirm" ? " — needs confirmation" : "";
+      const lines = [`- ${t.name}: ${t.method} ${t.endpoint}${description}${roles}${confirm}`];
+
+      if (t.parameters?.length) {
+        lines.push(`  parameters (pass in payload): ${t.parameters.map(describeParameter).join("; ")}`);
+      }
+      if (t.requestBody) {
+        let body = JSON.stringify(compactSchema(t.requestBody));
+        if (body.length > TOOL_SCHEMA_MAX_CHARS) body = `${body.slice(0, TOOL_SCHEMA_MAX_CHARS)}…`;
+        lines.push(`  body schema: ${body}`);
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+/**
+ * Turns a tool call into the concrete request: path parameters are filled in
+ * from the payload and query parameters appended to the URL; the remaining
+ * payload fields become the request body.
+ *
+ * @returns {{ endpoint: string, payload: object, missing: string[] }} `missing` lists unfilled path parameters
+ */
+export function resolveToolCall(tool, payload = {}) {
+  const body = { ...payload };
+  const missing = [];
+
+  // Path parameters are written "{id}" (OpenAPI) or ":id" (Express style)
+  let endpoint = tool.endpoint.replace(/\{([^}]+)\}|(?<=\/):([^/]+)/g, (placeholder, braced, colon) => {
+    const name = braced || colon;
+    const value = body[name];
+    delete body[name];
+    // Dot segments would change the path itself once the URL is normalised
+    if (value === undefined || value === null || ["", ".", ".."].includes(String(value))) {
+      missing.push(name);
+      return placeholder;
+    }
+    return encodeURIComponent(String(value));
+  });
+
+  const query = new URLSearchParams();
+  for (const param of (tool.parameters || []).filter((p) => p.in === "query")) {
+    if (body[param.name] === undefined) continue;
+    query.set(param.name, String(body[param.name]));
+    delete body[param.name];
+  }
+  if ([...query.keys()].length) endpoint += `?${query}`;
+
+  return { endpoint, payload: body, missing };
+}
+
+export function findTool(tools, name) {
+  return tools.find((t) => t.name === name) || null;
+}
@@ -0,0 +1,293 @@
+// src/services/usage.js
+import { getDB } from "../config/db.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Chat limits. Each applies per user `sub` and per bot (all users of a bot,
+ * e.g. one embedded site); 0 means unlimited. Bots override the defaults with
+ * `rateLimits: { user: {...}, bot: {...} }`.
+ */
+export const LIMIT_NAMES = ["requestsPerMinute", "messagesPerDay", "tokensPerMonth"];
+
+const DEFAULT_LIMITS = {
+  user: {
+    requestsPerMinute: parseInt(process.env.CHAT_USER_REQUESTS_PER_MINUTE) || 20,
+    messagesPerDay: parseInt(process.env.CHAT_USER_MESSAGES_PER_DAY) || 0,
+    tokensPerMonth: parseInt(process.env.CHAT_USER_TOKENS_PER_MONTH) || 0,
+  },
+  bot: {
+    requestsPerMinute: parseInt(process.env.CHAT_BOT_REQUESTS_PER_MINUTE) || 0,
+    messagesPerDay: parseInt(process.env.CHAT_BOT_MESSAGES_PER_DAY) || 0,
+    tokensPerMonth: parseInt(process.env.CHAT_BOT_TOKENS_PER_MONTH) || 0,
+  },
+};
+
+// Counters are kept a while after their window closes so usage can be reported
+const RETENTION_MS = {
+  minute: 5 * 60 * 1000,
+  day: 400 * 24 * 60 * 60 * 1000,
+  month: 3 * 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Usage counters: one document per bot or user, window and period, e.g.
+ * { botId, scope: "user", userSub, window: "day", period: "2026-10-19",
+ *   messages, inputTokens, outputTokens, tokens }
+ * Stored in MongoDB so they hold across restarts and instances.
+ */
+function usageCounters() {
+  return getDB().collection("usage_counters");
+}
+
+/**
+ * Creates the indexes for counter lookups and the TTL index that removes
+ * expired counters. Called once at startup.
+ */
+export async function ensureUsageIndexes() {
+  await usageCounters().createIndex({ botId: 1, scope: 1, userSub: 1, window: 1, period: 1 }, { unique: true });
+  await usageCounters().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+/**
+ * Parses a `rateLimits` setting (object or JSON string) into
+ * { user: {...}, bot: {...} } with only known, non-negative integer limits.
+ * Returns null when it is not valid.
+ */
+export function parseRateLimits(value) {
+  let limits = value;
+  if (typeof value === "string") {
+    try {
+      limits = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!limits || typeof limits !== "object" || Array.isArray(limits)) return null;
+
+  const parsed = {};
+  for (const [scope, scopeLimits] of Object.entries(limits)) {
+    if (!["user", "bot"].includes(scope) || !scopeLimits || typeof scopeLimits !== "object") return null;
+    parsed[scope] = {};
+    for (const [name, max] of Object.entries(scopeLimits)) {
+      if (!LIMIT_NAMES.includes(name) || !Number.isInteger(Number(max)) || Number(max) < 0) return null;
+      parsed[scope][name] = Number(max);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * The bot's effective limits, bot settings over the environment defaults.
+ * @returns {{ user: object, bot: object }}
+ */
+export function getBotLimits(bot) {
+  const custom = bot?.rateLimits || {};
+  const limits = {};
+  for (const scope of ["user", "bot"]) {
+    limits[scope] = {};
+    for (const name of LIMIT_NAMES) {
+      const value = parseInt(custom[scope]?.[name]);
+      limits[scope][name] = Number.isNaN(value) ? DEFAULT_LIMITS[scope][name] : Math.max(0, value);
+    }
+  }
+  return limits;
+}
+
+/**
+ * The current period of a window (UTC) and when it ends.
+ * @returns {{ period: string, resetAt: Date }}
+ */
+export function periodFor(window, now = new Date()) {
+  const iso = now.toISOString();
+  const [y, m, d, h, min] = [now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes()];
+
+  if (window === "minute") return { period: iso.slice(0, 16), resetAt: new Date(Date.UTC(y, m, d, h, min + 1)) };
+  if (window === "day") return { period: iso.slice(0, 10), resetAt: new Date(Date.UTC(y, m, d + 1)) };
+  return { period: iso.slice(0, 7), resetAt: new Date(Date.UTC(y, m + 1, 1)) };
+}
+
+function counterFilter(botId, scope, userSub, window, period) {
+  return { botId, scope, userSub: scope === "user" ? userSub : null, window, period };
+}
+
+async function incrementCounter(filter, inc, resetAt) {
+  return usageCounters().findOneAndUpdate(
+    filter,
+    {
+      $inc: inc,
+      $setOnInsert: { expiresAt: new Date(resetAt.getTime() + RETENTION_MS[filter.window]) },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+}
+
+/**
+ * A limit that refused a request.
+ * @typedef {{ scope: "user"|"bot", limit: string, max: number, resetAt: Date }} LimitHit
+ */
+
+/**
+ * Counts one chat request against the user's and the bot's limits.
+ * Requests per minute and messages per day are counted up front (and given
+ * back if another limit refuses the request); the monthly token budget is
+ * checked against what earlier turns used, so one turn can overshoot it.
+ *
+ * @param {object} bot
+ * @param {string} [userSub] - anonymous requests only count against the bot
+ * @returns {Promise<{ allowed: boolean, exceeded?: LimitHit, window?: { max: number, remaining: number, resetAt: Date } }>}
+ *   `window` describes the tightest per-minute limit, for rate-limit headers
+ */
+export async function consumeChatRequest(bot, userSub, now = new Date()) {
+  const limits = getBotLimits(bot);
+  const scopes = userSub ? ["user", "bot"] : ["bot"];
+  const applied = [];
+  let window = null;
+
+  const refuse = async (exceeded) => {
+    await Promise.all(applied.map(({ filter, inc }) => usageCounters().updateOne(filter, { $inc: negate(inc) })));
+    return { allowed: false, exceeded, window };
+  };
+
+  for (const scope of scopes) {
+    const { requestsPerMinute, messagesPerDay, tokensPerMonth } = limits[scope];
+
+    if (requestsPerMinute) {
+      const { period, resetAt } = periodFor("minute", now);
+      const filter = counterFilter(bot.botId, scope, userSub, "minute", period);
+      const counter = await incrementCounter(filter, { requests: 1 }, resetAt);
+      applied.push({ filter, inc: { requests: 1 } });
+      if (counter.requests > requestsPerMinute) return refuse({ scope, limit: "requestsPerMinute", max: requestsPerMinute, resetAt });
+
+      const remaining = requestsPerMinute - counter.requests;
+      if (!window || remaining < window.remaining) window = { max: requestsPerMinute, remaining, resetAt };
+    }
+
+    if (messagesPerDay) {
+      const { period, resetAt } = periodFor("day", now);
+      const filter = counterFilter(bot.botId, scope, userSub, "day", period);
+      const counter = await incrementCounter(filter, { messages: 1 }, resetAt);
+      applied.push({ filter, inc: { messages: 1 } });
+      if (counter.messages > messagesPerDay) return refuse({ scope, limit: "messagesPerDay", max: messagesPerDay, resetAt });
+    }
+
+    if (tokensPerMonth) {
+      const { period, resetAt } = periodFor("month", now);
+      const counter = await usageCounters().findOne(counterFilter(bot.botId, scope, userSub, "month", period));
+      if ((counter?.tokens || 0) >= tokensPerMonth) return refuse({ scope, limit: "tokensPerMonth", max: tokensPerMonth, resetAt });
+    }
+  }
+
+  // Message counts for reporting, whether or not a daily limit is set
+  for (const scope of scopes) {
+    for (const win of ["day", "month"]) {
+      if (win === "day" && limits[scope].messagesPerDay) continue; // already counted above
+      const { period, resetAt } = periodFor(win, now);
+      await incrementCounter(counterFilter(bot.botId, scope, userSub, win, period), { messages: 1 }, resetAt);
+    }
+  }
+
+  return { allowed: true, window };
+}
+
+function negate(inc) {
+  return Object.fromEntries(Object.entries(inc).map(([key, value]) => [key, -value]));
+}
+
+/**
+ * Adds LLM token usage to the day and month counters of the bot and, when
+ * given, the user. Failures are logged, never thrown.
+ *
+ * @param {string} botId
+ * @param {string|null} userSub
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ */
+export async function recordTokenUsage(botId, userSub, usage, now = new Date()) {
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  if (!inputTokens && !outputTokens) return;
+
+  const inc = { inputTokens, outputTokens, tokens: inputTokens + outputTokens };
+  try {
+    for (const scope of userSub ? ["user", "bot"] : ["bot"]) {
+      for (const win of ["day", "month"]) {
+        const { period, resetAt } = periodFor(win, now);
+        await incrementCounter(counterFilter(botId, scope, userSub, win, period), inc, resetAt);
+      }
+    }
+  } catch (err) {
+    console.error(`❌ Usage: Failed to record tokens for bot ${botId}:`, err.message);
+  }
+}
+
+const toTotals = (counter) => ({
+  messages: counter?.messages || 0,
+  inputTokens: counter?.inputTokens || 0,
+  outputTokens: counter?.outputTokens || 0,
+  tokens: counter?.tokens || 0,
+});
+
+/**
+ * Usage report for a bot: limits, current day / month totals, a daily
+ * history and the users with the most tokens this month (or one user's usage
+ * when `userSub` is given).
+ *
+ * @param {object} bot
+ * @param {object} [options]
+ * @param {string} [options.userSub]
+ * @param {number} [options.days=30] - length of the daily history
+ * @param {number} [options.topUsers=20]
+ */
+export async function getUsageReport(bot, { userSub, days = 30, topUsers = 20 } = {}, now = new Date()) {
+  const scope = userSub ? "user" : "bot";
+  const day = periodFor("day", now);
+  const month = periodFor("month", now);
+  const minute = periodFor("minute", now);
+  const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const [minuteCounter, monthCounter, history] = await Promise.all([
+    usageCounters().findOne(counterFilter(bot.botId, scope, userSub, "minute", minute.period)),
+    usageCounters().findOne(counterFilter(bot.botId, scope, userSub, "month", month.period)),
+    usageCounters()
+      .find({ ...counterFilter(bot.botId, scope, userSub, "day", undefined), period: { $gte: since } }, { projection: { _id: 0 } })
+      .sort({ period: -1 })
+      .toArray(),
+  ]);
+  const today = history.find((c) => c.period === day.period);
+
+  const limits = getBotLimits(bot)[scope];
+  const report = {
+    botId: bot.botId,
+    ...(userSub && { userSub }),
+    limits,
+    current: {
+      // Requests per minute are only counted while that limit is set
+      ...(limits.requestsPerMinute && {
+        minute: { period: minute.period, requests: minuteCounter?.requests || 0, resetAt: minute.resetAt },
+      }),
+      day: { period: day.period, ...toTotals(today), resetAt: day.resetAt },
+      month: { period: month.period, ...toTotals(monthCounter), resetAt: month.resetAt },
+    },
+    daily: history.map((c) => ({ period: c.period, ...toTotals(c) })),
+  };
+
+  if (!userSub) {
+    const users = await usageCounters()
+      .find({ botId: bot.botId, scope: "user", window: "month", period: month.period }, { projection: { _id: 0 } })
+      .sort({ tokens: -1 })
+      .limit(topUsers)
+      .toArray();
+    report.topUsers = users.map((c) => ({ userSub: c.userSub, ...toTotals(c) }));
+  }
+
+  return report;
+}
+
+/**
+ * Removes all usage counters of a bot. Returns the number removed.
+ */
+export async function deleteBotUsage(botId) {
+  const result = await usageCounters().deleteMany({ botId });
+  return result.deletedCount;
+}
@@ -1,12 +1,52 @@
 // src/services/vectorStore.js
-import { pinecone } from "../config/pinecone.js";
+import dotenv from "dotenv";
+import { pineconeBackend } from "./vectorStores/pinecone.js";
+import { localBackend } from "./vectorStores/local.js";
+import { indexChunks, removeChunks, removeBotIndex } from "./lexicalIndex.js";
+
+dotenv.config();
 
 /**
- * Upsert text chunks directly into Pinecone (Serverless Index).
- * Pinecone handles embedding automatically.
+ * @typedef {{ id: string, text: string, metadata?: Record<string, any> }} VectorItem
+ * @typedef {{ id: string, text: string, score: number, fields: Record<string, any> }} VectorHit
+ *
+ * @typedef {object} VectorStoreBackend
+ * @property {string} name
+ * @property {(botId: string, items: VectorItem[]) => Promise<void>} upsert
+ * @property {(botId: string, queryText: string, topK: number) => Promise<VectorHit[]>} query
+ * @property {(botId: string, ids: string[]) => Promise<void>} delete
+ * @property {(botId: string) => Promise<void>} deleteNamespace
+ */
+
+const backends = {
+  pinecone: pineconeBackend,
+  local: localBackend,
+};
+
+let backend = null;
+
+/**
+ * Resolves the active backend from VECTOR_STORE ("pinecone" | "local").
+ * When unset, Pinecone is used if PINECONE_API_KEY is configured, otherwise
+ * the local backend — so the server can always start.
+ */
+export function getVectorStore() {
+  if (backend) return backend;
+
+  const name = process.env.VECTOR_STORE || (process.env.PINECONE_API_KEY ? "pinecone" : "local");
+  backend = backends[name];
+  if (!backend) throw new Error(`Unknown VECTOR_STORE: ${name}`);
+
+  console.log(`📦 vectorStore: Using "${backend.name}" backend`);
+  return backend;
+}
+
+/**
+ * Upsert text chunks into the active vector store and the keyword index.
+ * Pinecone embeds them server-side; the local backend embeds them in-process.
  *
  * @param {string} botId - Namespace for this bot
- * @param {Array<{ id: string, text: string, metadata?: Record<string, any> }>} items
+ * @param {VectorItem[]} items
  */
 export async function upsertEmbeddings(botId, items) {
   if (!items?.length) {
@@ -14,29 +54,13 @@ export async function upsertEmbeddings(botId, items) {
     return;
   }
 
-  const indexName = process.env.PINECONE_INDEX;
-  const indexHost = process.env.PINECONE_INDEX_HOST;
-  if (!indexName) throw new Error("PINECONE_INDEX not set");
-  if (!indexHost) throw new Error("PINECONE_INDEX_HOST not set");
-
-  const namespace = pinecone.index(indexName, indexHost).namespace(botId);
-  console.log(`📦 vectorStore: Upserting ${items.length} chunks → index "${indexName}" (namespace: ${botId})`);
+  const store = getVectorStore();
 
   try {
-    // ✅ move metadata fields to the top level (not inside a "fields" object)
-    const records = items.map((it) => ({
-      _id: it.id,
-      text: it.text,
-      botId,
-      filename: it.metadata?.filename ?? "unknown",
-      chunkIndex: it.metadata?.chunkIndex ?? 0,
-      length: it.text?.length ?? 0,
-    }));
-
-    console.log(`🔄 vectorStore: Upserting ${records.length} records for bot ${botId}...`);
-    await namespace.upsertRecords(records);
-
-    console.log(`✅ vectorStore: Successfully upserted ${records.length} records for bot ${botId}`);
+    console.log(`🔄 vectorStore: Upserting ${items.length} records for bot ${botId} (${store.name})...`);
+    await store.upsert(botId, items);
+    await indexChunks(botId, items);
+    console.log(`✅ vectorStore: Successfully upserted ${items.length} records for bot ${botId}`);
   } catch (err) {
     console.error("❌ vectorStore: Upsert failed:", err);
     throw err;
@@ -44,38 +68,51 @@ export async function upsertEmbeddings(botId, items) {
 }
 
 /**
- * Query similar text chunks from Pinecone (Serverless Index).
- * Pinecone auto-embeds the query text — no external embedding model required.
+ * Query similar text chunks from the active vector store.
+ * @returns {Promise<VectorHit[]>}
  */
 export async function querySimilar(botId, queryText, topK = 5) {
-  const indexName = process.env.PINECONE_INDEX;
-  const indexHost = process.env.PINECONE_INDEX_HOST;
-  if (!indexName) throw new Error("PINECONE_INDEX not set");
-  if (!indexHost) throw new Error("PINECONE_INDEX_HOST not set");
-
-  const namespace = pinecone.index(indexName, indexHost).namespace(botId);
-
   try {
     console.log(`🔍 vectorStore: Searching top ${topK} matches for "${queryText}" in namespace "${botId}"`);
 
-    const results = await namespace.searchRecords({
-      query: {
-        inputs: { text: queryText },
-        topK,
-      },
-    });
-
-    const hits = results.result?.hits || [];
+    const hits = await getVectorStore().query(botId, queryText, topK);
     console.log(`✅ vectorStore: Found ${hits.length} matches for ${botId}`);
-
-    return hits.map((hit) => ({
-      id: hit._id,
-      text: hit.fields?.text || hit.text || "",
-      score: hit._score || 0,
-      fields: hit.fields || {},
-    }));
+    return hits;
   } catch (err) {
     console.error("❌ vectorStore: Query failed:", err);
     return [];
   }
 }
+
+/**
+ * Delete specific records (chunk IDs) from a bot's namespace and keyword index.
+ * @param {string} botId
+ * @param {string[]} ids
+ */
+export async function deleteEmbeddings(botId, ids) {
+  if (!ids?.length) return;
+
+  try {
+    await getVectorStore().delete(botId, ids);
+    await removeChunks(botId, ids);
+    console.log(`🗑️ vectorStore: Deleted ${ids.length} records for bot ${botId}`);
+  } catch (err) {
+    console.error("❌ vectorStore: Delete failed:", err);
+    throw err;
+  }
+}
+
+/**
+ * Delete every record in a bot's namespace and its keyword index.
+ * @param {string} botId
+ */
+export async function deleteNamespace(botId) {
+  try {
+    await getVectorStore().deleteNamespace(botId);
+    await removeBotIndex(botId);
+    console.log(`🗑️ vectorStore: Cleared namespace for bot ${botId}`);
+  } catch (err) {
+    console.error("❌ vectorStore: Namespace delete failed:", err);
+    throw err;
+  }
+}
@@ -0,0 +1,120 @@
+// src/services/vectorStores/local.js
+import fs from "fs/promises";
+import path from "path";
+import { embedText, cosineSimilarity } from "./localEmbedding.js";
+
+const STORE_DIR = path.resolve(process.env.LOCAL_VECTOR_DIR || ".data/vectors");
+
+// Loaded namespaces (botId → Map<id, record>) and per-namespace write queues
+const namespaces = new Map();
+const writeQueues = new Map();
+
+function namespaceFile(botId) {
+  return path.join(STORE_DIR, `${encodeURIComponent(botId)}.json`);
+}
+
+async function loadNamespace(botId) {
+  if (namespaces.has(botId)) return namespaces.get(botId);
+
+  let records = [];
+  try {
+    records = JSON.parse(await fs.readFile(namespaceFile(botId), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const ns = new Map(records.map((r) => [r.id, r]));
+  namespaces.set(botId, ns);
+  return ns;
+}
+
+/**
+ * Persists a namespace to disk. Writes for the same namespace are chained so
+ * they never interleave, and each goes through a temp file + rename.
+ */
+function persistNamespace(botId) {
+  const previous = writeQueues.get(botId) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const ns = namespaces.get(botId);
+      const file = namespaceFile(botId);
+      await fs.mkdir(STORE_DIR, { recursive: true });
+
+      if (!ns || ns.size === 0) {
+        await fs.rm(file, { force: true });
+        return;
+      }
+
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify([...ns.values()]));
+      await fs.rename(tmp, file);
+    });
+
+  writeQueues.set(botId, next);
+  return next;
+}
+
+/**
+ * Self-contained backend: embeds chunks locally and keeps vectors in one JSON
+ * file per bot under LOCAL_VECTOR_DIR (default ".data/vectors").
+ * Needs no network access, so full ingestion and retrieval work offline.
+ * @type {import("../vectorStore.js").VectorStoreBackend}
+ */
+export const localBackend = {
+  name: "local",
+
+  async upsert(botId, items) {
+    const ns = await loadNamespace(botId);
+
+    for (const it of items) {
+      ns.set(it.id, {
+        id: it.id,
+        text: it.text,
+        vector: embedText(it.text),
+        fields: {
+          text: it.text,
+          botId,
+          filename: it.metadata?.filename ?? "unknown",
+          ...(it.metadata?.docId && { docId: it.metadata.docId }),
+          ...(it.metadata?.docKey && { docKey: it.metadata.docKey }),
+          chunkIndex: it.metadata?.chunkIndex ?? 0,
+          ...(it.metadata?.page !== undefined && { page: it.metadata.page }),
+          ...(it.metadata?.pageEnd !== undefined && { pageEnd: it.metadata.pageEnd }),
+          ...(it.metadata?.section && { section: it.metadata.section }),
+          ...(it.metadata?.tokens !== undefined && { tokens: it.metadata.tokens }),
+          length: it.text?.length ?? 0,
+        },
+      });
+    }
+
+    await persistNamespace(botId);
+  },
+
+  async query(botId, queryText, topK) {
+    const ns = await loadNamespace(botId);
+    const queryVector = embedText(queryText);
+
+    return [...ns.values()]
+      .map((r) => ({
+        id: r.id,
+        text: r.text,
+        score: cosineSimilarity(queryVector, r.vector),
+        fields: r.fields,
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  },
+
+  async delete(botId, ids) {
+    const ns = await loadNamespace(botId);
+    ids.forEach((id) => ns.delete(id));
+    await persistNamespace(botId);
+  },
+
+  async deleteNamespace(botId) {
+    namespaces.set(botId, new Map());
+    await persistNamespace(botId);
+    namespaces.delete(botId);
+  },
+};
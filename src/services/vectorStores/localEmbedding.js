@@ -0,0 +1,61 @@
+// src/services/vectorStores/localEmbedding.js
+import crypto from "crypto";
+
+export const LOCAL_EMBEDDING_DIMS = parseInt(process.env.LOCAL_EMBEDDING_DIMS) || 512;
+
+/**
+ * Stable 32-bit hash of a feature string.
+ */
+function hashFeature(feature) {
+  return crypto.createHash("md5").update(feature).digest().readUInt32LE(0);
+}
+
+/**
+ * Lowercases and splits text into word tokens (letters and digits, any script).
+ */
+export function tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Computes a deterministic embedding without any model or network call.
+ * Uses the hashing trick over word unigrams, word bigrams and character
+ * trigrams, then L2-normalizes the result so a dot product is a cosine score.
+ *
+ * It is far less semantic than a trained model, but it is good enough for
+ * local development and CI where ingestion and retrieval must run offline.
+ *
+ * @param {string} text
+ * @param {number} [dims]
+ * @returns {number[]}
+ */
+export function embedText(text, dims = LOCAL_EMBEDDING_DIMS) {
+  const vector = new Array(dims).fill(0);
+  const words = tokenize(text);
+
+  const add = (feature, weight) => {
+    const h = hashFeature(feature);
+    // The top bit picks the sign so collisions tend to cancel out
+    vector[h % dims] += h & 0x80000000 ? -weight : weight;
+  };
+
+  words.forEach((word, i) => {
+    add(`w:${word}`, 1);
+    if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+
+    const padded = ` ${word} `;
+    for (let j = 0; j < padded.length - 2; j++) add(`c:${padded.slice(j, j + 3)}`, 0.25);
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map((v) => v / norm) : vector;
+}
+
+/**
+ * Dot product of two normalized vectors (= cosine similarity).
+ */
+export function cosineSimilarity(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
@@ -0,0 +1,76 @@
+// src/services/vectorStores/pinecone.js
+import { getPinecone } from "../../config/pinecone.js";
+
+// Pinecone caps the number of IDs per delete request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Returns the Pinecone namespace handle for a bot.
+ */
+function getNamespace(botId) {
+  const indexName = process.env.PINECONE_INDEX;
+  const indexHost = process.env.PINECONE_INDEX_HOST;
+  if (!indexName) throw new Error("PINECONE_INDEX not set");
+  if (!indexHost) throw new Error("PINECONE_INDEX_HOST not set");
+
+  return getPinecone().index(indexName, indexHost).namespace(botId);
+}
+
+/**
+ * Pinecone serverless backend. Pinecone embeds records itself (integrated
+ * embedding), so only the text and flat metadata fields are sent.
+ * @type {import("../vectorStore.js").VectorStoreBackend}
+ */
+export const pineconeBackend = {
+  name: "pinecone",
+
+  async upsert(botId, items) {
+    const namespace = getNamespace(botId);
+
+    // ✅ move metadata fields to the top level (not inside a "fields" object)
+    const records = items.map((it) => ({
+      _id: it.id,
+      text: it.text,
+      botId,
+      filename: it.metadata?.filename ?? "unknown",
+      ...(it.metadata?.docId && { docId: it.metadata.docId }),
+      ...(it.metadata?.docKey && { docKey: it.metadata.docKey }),
+      chunkIndex: it.metadata?.chunkIndex ?? 0,
+      ...(it.metadata?.page !== undefined && { page: it.metadata.page }),
+      ...(it.metadata?.pageEnd !== undefined && { pageEnd: it.metadata.pageEnd }),
+      ...(it.metadata?.section && { section: it.metadata.section }),
+      ...(it.metadata?.tokens !== undefined && { tokens: it.metadata.tokens }),
+      length: it.text?.length ?? 0,
+    }));
+
+    await namespace.upsertRecords(records);
+  },
+
+  async query(botId, queryText, topK) {
+    const results = await getNamespace(botId).searchRecords({
+      query: {
+        inputs: { text: queryText },
+        topK,
+      },
+    });
+
+    const hits = results.result?.hits || [];
+    return hits.map((hit) => ({
+      id: hit._id,
+      text: hit.fields?.text || hit.text || "",
+      score: hit._score || 0,
+      fields: hit.fields || {},
+    }));
+  },
+
+  async delete(botId, ids) {
+    const namespace = getNamespace(botId);
+    for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+      await namespace.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+    }
+  },
+
+  async deleteNamespace(botId) {
+    await getNamespace(botId).deleteAll();
+  },
+};
@@ -0,0 +1,95 @@
+// src/services/workspaces.js
+import crypto from "crypto";
+import { getDB } from "../config/db.js";
+
+/** Workspace roles, lowest to highest. */
+export const WORKSPACE_ROLES = ["viewer", "editor", "owner"];
+
+function workspaces() {
+  return getDB().collection("workspaces");
+}
+
+/**
+ * True if `role` is at least `minRole` (owner > editor > viewer).
+ */
+export function hasRole(role, minRole) {
+  return WORKSPACE_ROLES.includes(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+}
+
+/**
+ * Platform admins (PLATFORM_ADMINS, comma-separated `sub`s) act as owners of
+ * every workspace and can manage bots created before workspaces existed.
+ */
+export function isPlatformAdmin(sub) {
+  const admins = (process.env.PLATFORM_ADMINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return Boolean(sub) && admins.includes(sub);
+}
+
+/**
+ * Returns the member's role in a workspace, or null if they are not a member.
+ */
+export function getMemberRole(workspace, sub) {
+  if (isPlatformAdmin(sub)) return "owner";
+  return workspace?.members?.find((m) => m.sub === sub)?.role || null;
+}
+
+export async function createWorkspace(name, ownerSub) {
+  const now = new Date();
+  const workspace = {
+    workspaceId: `ws-${crypto.randomUUID()}`,
+    name,
+    members: [{ sub: ownerSub, role: "owner", addedAt: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await workspaces().insertOne({ ...workspace });
+  return workspace;
+}
+
+export async function getWorkspace(workspaceId) {
+  if (!workspaceId) return null;
+  return workspaces().findOne({ workspaceId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Workspaces the user belongs to (all of them for platform admins).
+ */
+export async function listWorkspacesForUser(sub) {
+  const query = isPlatformAdmin(sub) ? {} : { "members.sub": sub };
+  return workspaces().find(query, { projection: { _id: 0 } }).sort({ createdAt: -1 }).toArray();
+}
+
+/**
+ * Adds a member or changes an existing member's role.
+ */
+export async function setMemberRole(workspaceId, sub, role) {
+  const now = new Date();
+  const updated = await workspaces().updateOne(
+    { workspaceId, "members.sub": sub },
+    { $set: { "members.$.role": role, updatedAt: now } }
+  );
+
+  if (updated.matchedCount === 0) {
+    await workspaces().updateOne(
+      { workspaceId },
+      { $push: { members: { sub, role, addedAt: now } }, $set: { updatedAt: now } }
+    );
+  }
+}
+
+export async function removeMember(workspaceId, sub) {
+  const result = await workspaces().updateOne(
+    { workspaceId },
+    { $pull: { members: { sub } }, $set: { updatedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Number of owners left if `sub` were removed or demoted — used to keep at
+ * least one owner in every workspace.
+ */
+export function ownersExcluding(workspace, sub) {
+  return (workspace.members || []).filter((m) => m.role === "owner" && m.sub !== sub).length;
+}
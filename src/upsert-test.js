@@ -1,11 +1,11 @@
 // src/upsert-test.js
 import dotenv from "dotenv";
-import { pinecone } from "./config/pinecone.js";
+import { getPinecone } from "./config/pinecone.js";
 
 dotenv.config();
 console.log("index name:", process.env.PINECONE_INDEX);
 
-const index = pinecone.index(process.env.PINECONE_INDEX, process.env.PINECONE_INDEX_HOST);
+const index = getPinecone().index(process.env.PINECONE_INDEX, process.env.PINECONE_INDEX_HOST);
 const ns = index.namespace("demo-test");
 
 await ns.upsertRecords([
@@ -1,33 +1,179 @@
 // src/utils/cache.js
+import dotenv from "dotenv";
 
-// Simple in-memory cache (per instance)
-const cache = new Map();
+dotenv.config();
 
 // Default TTL = 10 minutes
 const DEFAULT_TTL = 10 * 60 * 1000;
+// Entries kept before the least recently used is evicted
+export const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
 
-export function setCache(key, value, ttl = DEFAULT_TTL) {
-  cache.set(key, {
-    value,
-    expiresAt: Date.now() + ttl,
-  });
+/**
+ * A cache backend stores entries for the response cache. Methods may be sync
+ * or return promises, so a shared store (see services/sharedCache.js) can
+ * stand in for the per-instance memory backend.
+ *
+ * @typedef {object} CacheBackend
+ * @property {string} name
+ * @property {number} maxEntries
+ * @property {(key: string) => any} get - the value, or null when missing or expired
+ * @property {(key: string, value: any, ttl: number) => void} set
+ * @property {(key: string) => void} delete
+ * @property {(prefix: string) => number} deleteByPrefix - returns the number removed
+ * @property {() => void} clear
+ * @property {() => number} size
+ */
+
+/**
+ * In-memory LRU backend (per instance): reads move an entry to the back of the
+ * Map, and once `maxEntries` is exceeded the front (least recently used) goes.
+ *
+ * @param {{ maxEntries?: number, onEvict?: (key: string) => void }} [options]
+ * @returns {CacheBackend}
+ */
+export function createMemoryBackend({ maxEntries = CACHE_MAX_ENTRIES, onEvict } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    maxEntries,
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (Date.now() > entry.expiresAt) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, ttl) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) {
+        const oldest = entries.keys().next().value;
+        entries.delete(oldest);
+        onEvict?.(oldest);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    deleteByPrefix(prefix) {
+      let removed = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    clear() {
+      entries.clear();
+    },
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+// Hit / miss counters of this instance, overall and per bot (the key prefix)
+const emptyStats = () => ({ hits: 0, misses: 0, sets: 0, evictions: 0, invalidations: 0 });
+let stats = emptyStats();
+const botStats = new Map();
+
+function count(key, field) {
+  stats[field]++;
+  const botId = String(key).split(":")[0];
+  if (!botStats.has(botId)) botStats.set(botId, emptyStats());
+  botStats.get(botId)[field]++;
+}
+
+let backend = createMemoryBackend({ onEvict: (key) => count(key, "evictions") });
+
+/**
+ * Replaces the cache backend (e.g. with a shared one at startup).
+ * @param {CacheBackend} next
+ */
+export function setCacheBackend(next) {
+  backend = next;
+  console.log(`🗄️ Cache: Using "${next.name}" backend`);
+}
+
+/**
+ * Key of a cached chat answer. Answers are cached per user, since what a user
+ * may see (tools, documents) depends on who they are.
+ */
+export function responseCacheKey(botId, userSub, message) {
+  return `${botId}:${userSub || "anonymous"}:${String(message).trim().toLowerCase()}`;
+}
+
+/**
+ * Returns the cached value, or null. Backend failures count as a miss.
+ */
+export async function getCache(key) {
+  let value = null;
+  try {
+    value = await backend.get(key);
+  } catch (err) {
+    console.error("⚠️ Cache: Read failed:", err.message);
+  }
+  count(key, value === null || value === undefined ? "misses" : "hits");
+  return value ?? null;
+}
+
+export async function setCache(key, value, ttl = DEFAULT_TTL) {
+  try {
+    await backend.set(key, value, ttl);
+    count(key, "sets");
+  } catch (err) {
+    console.error("⚠️ Cache: Write failed:", err.message);
+  }
 }
 
-export function getCache(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
+export async function clearCache(key) {
+  await backend.delete(key);
+}
+
+/**
+ * Removes every entry whose key starts with the given prefix (e.g. `${botId}:`).
+ * Returns the number of entries removed.
+ */
+export async function clearCacheByPrefix(prefix) {
+  return backend.deleteByPrefix(prefix);
+}
 
-  if (Date.now() > entry.expiresAt) {
-    cache.delete(key);
-    return null;
+/**
+ * Drops every cached answer of a bot, e.g. after its documents or
+ * configuration changed.
+ */
+export async function invalidateBotCache(botId, reason = "updated") {
+  try {
+    const removed = await clearCacheByPrefix(`${botId}:`);
+    count(`${botId}:`, "invalidations");
+    if (removed) console.log(`🧹 Cache: Cleared ${removed} answers of bot ${botId} (${reason})`);
+  } catch (err) {
+    console.error(`⚠️ Cache: Failed to invalidate bot ${botId}:`, err.message);
   }
-  return entry.value;
 }
 
-export function clearCache(key) {
-  cache.delete(key);
+export async function flushCache() {
+  await backend.clear();
+  stats = emptyStats();
+  botStats.clear();
 }
 
-export function flushCache() {
-  cache.clear();
+/**
+ * Cache statistics of this instance: backend, entries, hits, misses, hit
+ * rate, sets, evictions and invalidations. Pass a botId for that bot's counters.
+ */
+export async function getCacheStats(botId) {
+  const counters = botId ? botStats.get(botId) || emptyStats() : stats;
+  const lookups = counters.hits + counters.misses;
+  return {
+    backend: backend.name,
+    ...(!botId && { entries: await backend.size(), maxEntries: backend.maxEntries }),
+    ...counters,
+    hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null,
+  };
 }
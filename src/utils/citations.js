@@ -0,0 +1,90 @@
+// src/utils/citations.js
+
+// Characters of chunk text returned as a source snippet
+const SNIPPET_MAX_CHARS = 240;
+
+// Code the answer quotes (fenced blocks, then inline spans), or an inline
+// citation marker such as [2] or [1, 3] with the spaces before it. Only the
+// markers are rewritten; code is left exactly as the model wrote it.
+const SEGMENT_PATTERN = /(`{3,}|~{3,})[\s\S]*?(?:\1|$)|(`+)[^\n]*?\2|( *)\[(\d{1,3}(?:\s*,\s*\d{1,3})*)\]/g;
+
+/**
+ * Renders retrieved chunks for the prompt, numbered so the model can cite
+ * them: `[1] (refund-policy.pdf, page 3)` followed by the chunk text.
+ */
+export function formatKnowledge(chunks) {
+  if (!chunks.length) return "(no relevant documents found)";
+  return chunks
+    .map((c, i) => `[${i + 1}] (${describeLocation(c.fields)})\n${c.text}`)
+    .join("\n\n");
+}
+
+function describeLocation(fields = {}) {
+  if (fields.overrideId) return "curated answer, verified by the bot's owners";
+  const where = fields.page !== undefined ? `page ${fields.page}` : `chunk ${fields.chunkIndex ?? 0}`;
+  const section = fields.section ? `, section "${fields.section}"` : "";
+  return `${fields.filename || "unknown"}, ${where}${section}`;
+}
+
+/**
+ * Resolves the model's citations against the chunks that were actually
+ * retrieved. Numbers come from the reply's `citations` field and from inline
+ * [n] markers in the answer; numbers that don't match a retrieved chunk are
+ * dropped, and their markers removed from the answer. Brackets inside code
+ * and indexes such as arr[0] are not treated as markers.
+ *
+ * @param {object[]} chunks - VectorHit[] in prompt order
+ * @param {string} answer
+ * @param {number[]} [citations]
+ * @returns {{ answer: string, sources: object[] }}
+ */
+export function resolveCitations(chunks, answer, citations = []) {
+  const isValid = (n) => Number.isInteger(n) && n >= 1 && n <= chunks.length;
+  const cited = new Set([].concat(citations || []).map(Number).filter(isValid));
+
+  let indexEnd = -1;
+  const cleaned = String(answer || "").replace(SEGMENT_PATTERN, (match, fence, ticks, lead, list, offset, text) => {
+    if (list === undefined) return match;
+
+    const numbers = list.split(",").map((n) => Number(n.trim()));
+    const valid = numbers.filter(isValid);
+    // Brackets right after a word are more likely an index such as arr[0] or m[0][1]: left alone unless they cite
+    const attached = !lead && (/[\w)]/.test(text[offset - 1] || "") || offset === indexEnd);
+    if (attached && valid.length !== numbers.length) {
+      indexEnd = offset + match.length;
+      return match;
+    }
+
+    valid.forEach((n) => cited.add(n));
+    if (valid.length === numbers.length) return match;
+    if (valid.length) return `${lead}[${valid.join(", ")}]`;
+    // Drop the marker with the spaces before it, unless that would join two words
+    return /^[^\s.,;:!?)]/.test(text.slice(offset + match.length)) ? lead : "";
+  });
+
+  const sources = [...cited]
+    .sort((a, b) => a - b)
+    .map((n) => toSource(n, chunks[n - 1]));
+
+  return { answer: cleaned, sources };
+}
+
+/**
+ * Public shape of a cited chunk.
+ */
+function toSource(ref, chunk) {
+  const fields = chunk.fields || {};
+  const text = String(chunk.text || fields.text || "").replace(/\s+/g, " ").trim();
+  return {
+    ref,
+    chunkId: chunk.id,
+    filename: fields.filename || "unknown",
+    ...(fields.docId && { docId: fields.docId }),
+    ...(fields.overrideId && { overrideId: fields.overrideId }),
+    chunkIndex: fields.chunkIndex ?? 0,
+    ...(fields.page !== undefined && { page: fields.page }),
+    ...(fields.section && { section: fields.section }),
+    snippet: text.length > SNIPPET_MAX_CHARS ? `${text.slice(0, SNIPPET_MAX_CHARS)}…` : text,
+    score: Number((chunk.score || 0).toFixed(4)),
+  };
+}
@@ -0,0 +1,270 @@
+// src/utils/egress.js
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const PROXY_TIMEOUT_MS = parseInt(process.env.PROXY_TIMEOUT_MS) || 10000;
+const PROXY_MAX_RESPONSE_BYTES = parseInt(process.env.PROXY_MAX_RESPONSE_BYTES) || 1024 * 1024; // 1MB
+export const PROXY_ALLOWED_METHODS = (process.env.PROXY_ALLOWED_METHODS || "GET,POST,PUT,PATCH,DELETE")
+  .split(",")
+  .map((m) => m.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Error raised when an outbound request is refused or fails. `code` is a
+ * stable machine-readable reason, `status` the HTTP status for the client.
+ */
+export class EgressError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "EgressError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Private, loopback, link-local and other non-public ranges that upstream
+ * requests may never reach (unless allowlisted).
+ */
+const blockedRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedRanges.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedRanges.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * EGRESS_ALLOWLIST: comma-separated hostnames and/or CIDRs (e.g.
+ * "api.internal.example,10.20.0.0/16") that may be reached even though they
+ * resolve to a blocked range — for self-hosted APIs on a private network.
+ */
+const allowedHosts = new Set();
+const allowedRanges = new net.BlockList();
+for (const entry of (process.env.EGRESS_ALLOWLIST || "").split(",").map((e) => e.trim()).filter(Boolean)) {
+  const [address, prefix] = entry.split("/");
+  const family = net.isIP(address);
+  if (family) {
+    const type = family === 6 ? "ipv6" : "ipv4";
+    allowedRanges.addSubnet(address, prefix ? parseInt(prefix) : family === 6 ? 128 : 32, type);
+  } else {
+    allowedHosts.add(entry.toLowerCase());
+  }
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1 or ::ffff:7f00:1) is checked as IPv4
+  let [ip, type] = [address, family === 6 ? "ipv6" : "ipv4"];
+  const dotted = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const hex = family === 6 && /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (dotted) [ip, type] = [dotted[1], "ipv4"];
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    [ip, type] = [`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`, "ipv4"];
+  }
+
+  if (allowedRanges.check(ip, type)) return false;
+  return blockedRanges.check(ip, type);
+}
+
+/**
+ * dns.lookup replacement for the outbound agents: resolves the host and refuses
+ * blocked addresses at connect time, so DNS rebinding can't slip past an
+ * earlier check.
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (!allowedHosts.has(hostname.toLowerCase())) {
+      const blocked = addresses.find((a) => isBlockedAddress(a.address));
+      if (blocked) {
+        return callback(
+          new EgressError(403, "blocked_destination", `Destination ${hostname} resolves to a blocked address (${blocked.address})`)
+        );
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup, keepAlive: true });
+const httpsAgent = new https.Agent({ lookup: guardedLookup, keepAlive: true });
+
+/**
+ * Resolves `endpoint` against the bot's `apiBaseUrl` and pins the result to
+ * the base URL's origin and path prefix. Rejects absolute or protocol-relative
+ * endpoints, userinfo tricks ("@evil.host"), backslashes and dot segments.
+ *
+ * @param {string} apiBaseUrl - e.g. "https://api.example.com/v1"
+ * @param {string} endpoint - path (and optional query) relative to the base, e.g. "/orders/42?expand=items"
+ * @returns {URL}
+ * @throws {EgressError}
+ */
+export function resolveProxyTarget(apiBaseUrl, endpoint) {
+  let base;
+  try {
+    base = new URL(apiBaseUrl);
+  } catch {
+    throw new EgressError(400, "invalid_base_url", "Bot has no valid API base URL configured");
+  }
+  if (!["http:", "https:"].includes(base.protocol) || base.username || base.password) {
+    throw new EgressError(400, "invalid_base_url", "Bot API base URL must be a plain http(s) URL");
+  }
+
+  const path = String(endpoint || "");
+  if (!path.startsWith("/") || path.startsWith("//") || /[\\\s\u0000-\u001f@]/.test(path.split("?")[0])) {
+    throw new EgressError(400, "invalid_endpoint", "Endpoint must be a path relative to the bot's API, e.g. /orders/42");
+  }
+
+  const segments = path.split("?")[0].split("#")[0].split("/");
+  const hasDotSegment = segments.some((segment) => {
+    try {
+      return [".", ".."].includes(decodeURIComponent(segment));
+    } catch {
+      return true; // malformed percent-encoding
+    }
+  });
+  if (hasDotSegment) {
+    throw new EgressError(400, "invalid_endpoint", "Endpoint may not contain . or .. path segments");
+  }
+
+  const prefix = base.pathname.replace(/\/+$/, "");
+  const target = new URL(`${base.origin}${prefix}${path}`);
+  target.hash = "";
+
+  if (target.origin !== base.origin || !(target.pathname === prefix || target.pathname.startsWith(`${prefix}/`))) {
+    throw new EgressError(400, "invalid_endpoint", "Endpoint resolves outside the bot's API");
+  }
+
+  return target;
+}
+
+/**
+ * Reads the response body up to PROXY_MAX_RESPONSE_BYTES.
+ */
+async function readLimitedBody(response) {
+  const declared = parseInt(response.headers.get("content-length"));
+  if (declared > PROXY_MAX_RESPONSE_BYTES) {
+    throw new EgressError(502, "response_too_large", `Upstream response exceeds ${PROXY_MAX_RESPONSE_BYTES} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > PROXY_MAX_RESPONSE_BYTES) {
+      response.body.destroy?.();
+      throw new EgressError(502, "response_too_large", `Upstream response exceeds ${PROXY_MAX_RESPONSE_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Fetches a URL on behalf of a bot with egress protection: only allowed
+ * methods, no private / link-local destinations (checked at connect time),
+ * no redirects followed, a request timeout and a response size limit.
+ *
+ * @param {URL} url - from resolveProxyTarget
+ * @param {{ method: string, headers?: object, body?: string }} options
+ * @returns {Promise<{ status: number, headers: Headers, data: any }>} `data` is parsed JSON or text
+ * @throws {EgressError}
+ */
+export async function safeFetch(url, { method, headers, body }) {
+  const verb = String(method || "GET").toUpperCase();
+  if (!PROXY_ALLOWED_METHODS.includes(verb)) {
+    throw new EgressError(405, "method_not_allowed", `Method ${verb} is not allowed`);
+  }
+
+  // IP literals never go through the agent's lookup, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlockedAddress(host) && !allowedHosts.has(host)) {
+    throw new EgressError(403, "blocked_destination", `Destination ${host} is a blocked address`);
+  }
+
+  let response;
+  try {
+    response = await fetch(url.href, {
+      method: verb,
+      headers,
+      body,
+      redirect: "manual",
+      agent: url.protocol === "https:" ? httpsAgent : httpAgent,
+      signal: AbortSignal.timeout(PROXY_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err instanceof EgressError) throw err;
+    // node-fetch wraps the lookup error but keeps its code
+    if (err.code === "blocked_destination") {
+      throw new EgressError(403, "blocked_destination", err.message.replace(/^.*reason: /, ""));
+    }
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new EgressError(504, "upstream_timeout", `Upstream request timed out after ${PROXY_TIMEOUT_MS}ms`);
+    }
+    throw new EgressError(502, "upstream_unreachable", `Upstream request failed: ${err.message}`);
+  }
+
+  let text;
+  try {
+    text = await readLimitedBody(response);
+  } catch (err) {
+    if (err instanceof EgressError) throw err;
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      throw new EgressError(504, "upstream_timeout", `Upstream request timed out after ${PROXY_TIMEOUT_MS}ms`);
+    }
+    throw new EgressError(502, "upstream_unreachable", `Upstream response failed: ${err.message}`);
+  }
+
+  let data = text;
+  if (response.headers.get("content-type")?.includes("application/json")) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+  }
+
+  return { status: response.status, headers: response.headers, data };
+}
@@ -0,0 +1,191 @@
+// src/utils/endpointRules.js
+
+/**
+ * Endpoint access rules, stored as JSON in `bot.endpointRoles`:
+ *
+ *   { "endpoint": "/orders/{id}", "method": "GET", "roles": ["support"] }
+ *   { "endpoint": "/orders/:id/items/*", "methods": ["PUT", "PATCH"], "roles": ["admin"] }
+ *   { "endpoint": "/reports/**", "roles": { "GET": ["analyst"], "*": ["admin"] } }
+ *
+ * Path segments may be literals, parameters (`{id}` or `:id`), `*` (exactly
+ * one segment) or a trailing `**` (any remaining segments). `method` /
+ * `methods` limit a rule to some HTTP methods (absent or "ANY" = all); other
+ * methods on a path that has rules are refused, never left open.
+ * `roles` is a list for every method, or an object keyed by method with "*"
+ * as the fallback. `"*"` in a role list admits any authenticated user; an
+ * empty list admits nobody.
+ */
+
+// Claims read when a bot configures neither roleClaims nor rolesNamespace
+const DEFAULT_ROLE_CLAIMS = ["roles", "permissions", "scope"];
+
+/**
+ * Parses the bot's endpoint rules; invalid JSON yields no rules.
+ * @returns {object[]}
+ */
+export function parseEndpointRules(bot) {
+  try {
+    const rules = JSON.parse(bot?.endpointRoles || "[]");
+    return Array.isArray(rules) ? rules.filter((r) => r && typeof r.endpoint === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function splitPath(path) {
+  return String(path || "")
+    .split("?")[0]
+    .split("/")
+    .filter(Boolean);
+}
+
+const isParam = (segment) => /^\{[^}]+\}$/.test(segment) || /^:[^/]+$/.test(segment);
+
+/**
+ * Matches a concrete path (query string ignored) against an endpoint pattern.
+ * Returns a specificity score (higher = more specific) or -1 when it does not
+ * match: literal segments weigh most, then parameters, then wildcards.
+ */
+export function matchEndpointPattern(pattern, path) {
+  const expected = splitPath(pattern);
+  const actual = splitPath(path);
+  let score = 0;
+
+  for (let i = 0; i < expected.length; i++) {
+    const segment = expected[i];
+    if (segment === "**" && i === expected.length - 1) return score;
+    if (i >= actual.length) return -1;
+
+    if (segment === actual[i]) score += 3;
+    else if (isParam(segment)) score += 2;
+    else if (segment === "*") score += 1;
+    else return -1;
+  }
+
+  return expected.length === actual.length ? score : -1;
+}
+
+/**
+ * Normalised list of methods a rule applies to, or null for all methods.
+ */
+function ruleMethods(rule) {
+  const list = [].concat(rule.methods || rule.method || []).map((m) => String(m).toUpperCase());
+  if (!list.length || list.includes("ANY") || list.includes("*")) return null;
+  return list;
+}
+
+/**
+ * Finds the most specific rule for a request. A rule naming the method beats
+ * an any-method rule with the same path specificity.
+ */
+export function findRuleForRequest(rules, endpoint, method = "GET") {
+  const verb = String(method).toUpperCase();
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    const methods = ruleMethods(rule);
+    if (methods && !methods.includes(verb)) continue;
+
+    const pathScore = matchEndpointPattern(rule.endpoint, endpoint);
+    if (pathScore < 0) continue;
+
+    const score = pathScore * 2 + (methods ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Roles a rule requires for a method.
+ * @returns {string[]}
+ */
+export function rolesForMethod(rule, method = "GET") {
+  const roles = rule?.roles;
+  if (Array.isArray(roles)) return roles.map(String);
+  if (roles && typeof roles === "object") {
+    const list = roles[String(method).toUpperCase()] ?? roles["*"] ?? [];
+    return Array.isArray(list) ? list.map(String) : [];
+  }
+  return [];
+}
+
+/**
+ * Reads a claim by path. Namespaced claims such as "https://app.example.com/roles"
+ * are looked up as-is first, then the path is walked on "." for nested
+ * claims such as "realm_access.roles".
+ */
+function readClaim(user, path) {
+  if (!user) return undefined;
+  if (user[path] !== undefined) return user[path];
+  return path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), user);
+}
+
+/**
+ * Claim paths the bot reads roles from: `roleClaims` (list or comma-separated),
+ * else the legacy `rolesNamespace`, else roles / permissions / scope.
+ */
+export function getRoleClaimPaths(bot) {
+  const configured = Array.isArray(bot?.roleClaims)
+    ? bot.roleClaims
+    : String(bot?.roleClaims || "").split(",");
+  const paths = configured.map((p) => String(p).trim()).filter(Boolean);
+  if (paths.length) return paths;
+  return bot?.rolesNamespace ? [bot.rolesNamespace] : DEFAULT_ROLE_CLAIMS;
+}
+
+/**
+ * Collects the user's roles from the bot's claim paths. Arrays are used as-is;
+ * strings are split on spaces or commas (OAuth `scope` style).
+ * @returns {string[]}
+ */
+export function getUserRoles(bot, user) {
+  const roles = new Set();
+  for (const path of getRoleClaimPaths(bot)) {
+    const value = readClaim(user, path);
+    const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(/[\s,]+/) : [];
+    list.filter((r) => r !== "" && r !== null && r !== undefined).forEach((r) => roles.add(String(r)));
+  }
+  return [...roles];
+}
+
+/**
+ * Resolves dot segments ("/a/../b", "%2e%2e") the way the upstream request
+ * URL will, so a rule can't be sidestepped with a path that normalises elsewhere.
+ */
+function normalizePath(endpoint) {
+  try {
+    return new URL(String(endpoint), "http://localhost").pathname;
+  } catch {
+    return String(endpoint);
+  }
+}
+
+/**
+ * Decides whether the user may call `method endpoint` on the bot's API.
+ * A path whose rules all name other methods is refused; only paths without
+ * any rule fall back to the bot's `denyByDefault` setting.
+ *
+ * @returns {{ allowed: boolean, rule: object|null, reason?: "no_rule"|"method_not_allowed"|"insufficient_role" }}
+ */
+export function checkEndpointAccess(bot, user, endpoint, method = "GET") {
+  const rules = parseEndpointRules(bot);
+  const path = normalizePath(endpoint);
+  const rule = findRuleForRequest(rules, path, method);
+  if (!rule) {
+    if (rules.some((r) => matchEndpointPattern(r.endpoint, path) >= 0))
+      return { allowed: false, rule: null, reason: "method_not_allowed" };
+    return bot?.denyByDefault ? { allowed: false, rule: null, reason: "no_rule" } : { allowed: true, rule: null };
+  }
+
+  const required = rolesForMethod(rule, method);
+  if (required.includes("*") && user) return { allowed: true, rule };
+
+  const userRoles = getUserRoles(bot, user);
+  const allowed = required.some((r) => userRoles.includes(r));
+  return allowed ? { allowed, rule } : { allowed, rule, reason: "insufficient_role" };
+}
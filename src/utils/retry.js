@@ -0,0 +1,27 @@
+// src/utils/retry.js
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs `fn` and retries it with exponential backoff when it throws.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - retries after the first attempt
+ * @param {number} [options.baseDelayMs=500] - delay before the first retry (doubles each time)
+ * @param {string} [options.label] - used in log lines
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, { retries = 3, baseDelayMs = 500, label = "operation" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      const delay = baseDelayMs * 2 ** attempt;
+      console.warn(`⚠️ ${label} failed (attempt ${attempt + 1}/${retries + 1}), retrying in ${delay}ms: ${err.message}`);
+      await sleep(delay);
+    }
+  }
+}
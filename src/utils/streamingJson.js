@@ -0,0 +1,47 @@
+// src/utils/streamingJson.js
+
+const ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+/**
+ * Reads the (possibly unfinished) value of a top-level string field from a
+ * JSON document that is still being streamed, e.g. `{"action":"none","answer":"Hel`.
+ * Returns the decoded characters received so far, or null if the field has not started.
+ *
+ * @param {string} buffer - JSON text received so far
+ * @param {string} field - field name to read
+ * @returns {string|null}
+ */
+export function readPartialStringField(buffer, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+
+  let out = "";
+  let i = match.index + match[0].length;
+
+  while (i < buffer.length) {
+    const ch = buffer[i];
+    if (ch === '"') break; // closing quote — value complete
+
+    if (ch === "\\") {
+      const next = buffer[i + 1];
+      if (next === undefined) break; // escape split across chunks
+
+      if (next === "u") {
+        const hex = buffer.slice(i + 2, i + 6);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+
+      out += ESCAPES[next] ?? next;
+      i += 2;
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
@@ -1,4 +1,13 @@
 // src/utils/validators.js
+import { LLM_PROVIDERS } from "../services/llm/index.js";
+import { ACTION_POLICIES } from "../services/tools.js";
+import { parseRateLimits, LIMIT_NAMES } from "../services/usage.js";
+import { parseRetrievalSettings, RETRIEVAL_MODES, RERANKERS } from "../services/retrieval.js";
+import { parseChunkingSettings, CHUNKING_STRATEGIES } from "../services/chunking/index.js";
+import { DOCUMENT_ACCESS_MODES } from "../services/documentAccess.js";
+import { TOKEN_ALGORITHMS, parseTokenAlgorithms } from "../config/auth0.js";
+
+const RULE_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "ANY", "*"];
 
 /**
  * Validates bot configuration payload before saving
@@ -14,7 +23,6 @@ export function validateBotConfig(data, options = {}) {
     "businessName",
     "defaultPrompt",
     "apiBaseUrl",
-    "authDomain",
     "authAudience",
   ];
 
@@ -25,6 +33,99 @@ export function validateBotConfig(data, options = {}) {
         return `Missing required field: ${field}`;
       }
     }
+    if (!data.authDomain && !data.authIssuer) {
+      return "Missing required field: authDomain or authIssuer";
+    }
+  }
+
+  if (data.apiBaseUrl) {
+    let base = null;
+    try {
+      base = new URL(String(data.apiBaseUrl));
+    } catch {
+      base = null;
+    }
+    if (!base || !["http:", "https:"].includes(base.protocol) || base.username || base.password || base.search || base.hash) {
+      return "Invalid apiBaseUrl: must be an http(s) URL without credentials, query or fragment";
+    }
+  }
+
+  if (data.authIssuer && !/^https?:\/\/[^/]/i.test(String(data.authIssuer))) {
+    return "Invalid authIssuer: must be an http(s) URL";
+  }
+
+  if (data.authAlgorithms !== undefined && data.authAlgorithms !== "" &&
+      !(typeof data.authAlgorithms === "string" || Array.isArray(data.authAlgorithms))) {
+    return "Invalid authAlgorithms: must be a comma-separated string or an array";
+  }
+  const unsupported = parseTokenAlgorithms(data.authAlgorithms).filter((a) => !TOKEN_ALGORITHMS.includes(a));
+  if (unsupported.length) {
+    return `Invalid authAlgorithms: ${unsupported.join(", ")} not supported (use ${TOKEN_ALGORITHMS.join(", ")})`;
+  }
+
+  if (data.authClockTolerance !== undefined && data.authClockTolerance !== "" &&
+      !(Number(data.authClockTolerance) >= 0)) {
+    return "Invalid authClockTolerance: must be a non-negative number of seconds";
+  }
+
+  if (data.llmProvider && !LLM_PROVIDERS.includes(data.llmProvider)) {
+    return `Invalid llmProvider: must be one of ${LLM_PROVIDERS.join(", ")}`;
+  }
+
+  if (data.maxToolSteps !== undefined && data.maxToolSteps !== "" &&
+      !(Number.isInteger(Number(data.maxToolSteps)) && Number(data.maxToolSteps) >= 0 && Number(data.maxToolSteps) <= 20)) {
+    return "Invalid maxToolSteps: must be an integer between 0 and 20";
+  }
+
+  if (data.endpointRoles !== undefined && data.endpointRoles !== "") {
+    let rules;
+    try {
+      rules = JSON.parse(data.endpointRoles);
+    } catch {
+      rules = null;
+    }
+    if (!Array.isArray(rules)) {
+      return "Invalid endpointRoles: must be a JSON array of rules";
+    }
+    for (const rule of rules) {
+      if (!rule?.endpoint || typeof rule.endpoint !== "string") {
+        return "Invalid endpointRoles: every rule needs an endpoint";
+      }
+      if (rule.policy && !ACTION_POLICIES.includes(rule.policy)) {
+        return `Invalid policy "${rule.policy}" for ${rule.endpoint}: must be one of ${ACTION_POLICIES.join(", ")}`;
+      }
+      const methods = [].concat(rule.methods || rule.method || []).map((m) => String(m).toUpperCase());
+      const badMethod = methods.find((m) => !RULE_METHODS.includes(m));
+      if (badMethod) {
+        return `Invalid method "${badMethod}" for ${rule.endpoint}`;
+      }
+      if (rule.roles !== undefined && (typeof rule.roles !== "object" || rule.roles === null)) {
+        return `Invalid roles for ${rule.endpoint}: must be a list or an object keyed by method`;
+      }
+      if (rule.endpoint.split("/").slice(0, -1).includes("**")) {
+        return `Invalid endpoint ${rule.endpoint}: "**" is only allowed as the last segment`;
+      }
+    }
+  }
+
+  if (data.auditPayloads !== undefined && !["full", "redacted", "none"].includes(data.auditPayloads)) {
+    return "Invalid auditPayloads: must be full, redacted or none";
+  }
+
+  if (data.rateLimits !== undefined && data.rateLimits !== "" && !parseRateLimits(data.rateLimits)) {
+    return `Invalid rateLimits: must be { user?: {...}, bot?: {...} } with non-negative integer ${LIMIT_NAMES.join(", ")}`;
+  }
+
+  if (data.retrieval !== undefined && data.retrieval !== "" && !parseRetrievalSettings(data.retrieval)) {
+    return `Invalid retrieval: mode must be ${RETRIEVAL_MODES.join(", ")}, rerank ${RERANKERS.join(", ")}, topK 1-20, candidates 1-100, weights 0-10 and min scores non-negative (minRerankScore at most 1)`;
+  }
+
+  if (data.chunking !== undefined && data.chunking !== "" && !parseChunkingSettings(data.chunking)) {
+    return `Invalid chunking: strategy must be ${CHUNKING_STRATEGIES.join(", ")}, maxTokens 50-2000 and overlapTokens at most half of maxTokens`;
+  }
+
+  if (data.documentAccess !== undefined && !DOCUMENT_ACCESS_MODES.includes(data.documentAccess)) {
+    return `Invalid documentAccess: must be ${DOCUMENT_ACCESS_MODES.join(", ")}`;
   }
 
   // No validation error